@@ -1,5 +1,12 @@
 const { HomebridgePluginUiServer, RequestError } = require('@homebridge/plugin-ui-utils');
-const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { OmletClient, DEFAULT_HOST } = require('../lib/omlet-client');
+const { StateStore, STATE_FILE } = require('../lib/storage');
+
+// must match the plugin's history file and rotation count
+const HISTORY_FILE = 'omlet-coop-history.jsonl';
+const HISTORY_ROTATIONS = 2;
 
 class OmletPluginUiServer extends HomebridgePluginUiServer {
   constructor() {
@@ -8,38 +15,43 @@ class OmletPluginUiServer extends HomebridgePluginUiServer {
     this.onRequest('/login', this.handleLogin.bind(this));
     this.onRequest('/discover', this.handleDiscover.bind(this));
     this.onRequest('/validate', this.handleValidate.bind(this));
+    this.onRequest('/history', this.handleHistory.bind(this));
+    this.onRequest('/battery', this.handleBattery.bind(this));
+    this.onRequest('/connectivity', this.handleConnectivity.bind(this));
     
     this.ready();
   }
   
   async handleValidate(payload) {
-    const { token, deviceId, debug } = payload;
+    const { token, deviceId, deviceIds } = payload;
     
     if (!token) {
       throw new RequestError('Bearer token is required', { status: 400 });
     }
     
+    const client = this.createClient(payload);
     try {
-      const devices = await this.discoverOmletDevices(token, debug);
+      const devices = await client.listDevices();
       
-      let deviceValid = false;
-      if (deviceId) {
-        deviceValid = devices.some(device => device.deviceId === deviceId);
-      }
+      // older UI versions send a single deviceId
+      const requestedIds = deviceIds || (deviceId ? [deviceId] : []);
+      const unknownDeviceIds = requestedIds.filter(id => !devices.some(device => device.deviceId === id));
       
       return {
         success: true,
         tokenValid: true,
-        deviceValid: deviceValid,
+        deviceValid: requestedIds.length > 0 && unknownDeviceIds.length === 0,
+        unknownDeviceIds: unknownDeviceIds,
         devices: devices
       };
     } catch (error) {
       // Token is invalid if we get 401/403
-      if (error.message.includes('HTTP 401') || error.message.includes('HTTP 403')) {
+      if (error.isAuthError) {
         return {
           success: false,
           tokenValid: false,
           deviceValid: false,
+          unknownDeviceIds: [],
           devices: []
         };
       }
@@ -48,15 +60,166 @@ class OmletPluginUiServer extends HomebridgePluginUiServer {
     }
   }
   
+  // newest first, one page at a time; filters match exact values except `search`
+  async handleHistory(payload) {
+    const { deviceId, type, source, search } = payload || {};
+    const page = Math.max(1, parseInt(payload?.page) || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(payload?.pageSize) || 50));
+    
+    let entries;
+    try {
+      entries = await this.readHistory();
+    } catch (error) {
+      throw new RequestError(`Failed to read history: ${error.message}`, { status: 500 });
+    }
+    
+    const devices = {};
+    entries.forEach(entry => {
+      devices[entry.deviceId] = entry.device || entry.deviceId;
+    });
+    
+    const needle = search ? String(search).toLowerCase() : null;
+    const filtered = entries.filter(entry =>
+      (!deviceId || entry.deviceId === deviceId) &&
+      (!type || entry.type === type) &&
+      (!source || entry.source === source) &&
+      (!needle || JSON.stringify(entry).toLowerCase().includes(needle)));
+    
+    return {
+      success: true,
+      total: filtered.length,
+      page: page,
+      pageSize: pageSize,
+      devices: devices,
+      entries: filtered.slice((page - 1) * pageSize, page * pageSize)
+    };
+  }
+  
+  // battery tracking as last saved by the plugin, without the raw readings
+  async handleBattery() {
+    let stored;
+    try {
+      stored = await this.readDeviceState();
+    } catch (error) {
+      throw new RequestError(`Failed to read battery status: ${error.message}`, { status: 500 });
+    }
+    
+    const devices = stored
+      .filter(([deviceId, device]) => device.battery)
+      .map(([deviceId, { battery: tracking }]) => ({
+        deviceId: deviceId,
+        device: tracking.device || deviceId,
+        level: tracking.level ?? null,
+        mains: tracking.mains === true,
+        low: tracking.low === true,
+        drainPerDay: tracking.drainPerDay ?? null,
+        daysRemaining: tracking.daysRemaining ?? null,
+        readings: (tracking.readings || []).length,
+        replacedAt: tracking.replacedAt || null,
+        updatedAt: tracking.updatedAt || null
+      }));
+    
+    return {
+      success: true,
+      devices: devices
+    };
+  }
+  
+  // Wi-Fi details and offline state from the plugin's last poll
+  async handleConnectivity() {
+    let stored;
+    try {
+      stored = await this.readDeviceState();
+    } catch (error) {
+      throw new RequestError(`Failed to read connectivity: ${error.message}`, { status: 500 });
+    }
+    
+    const devices = stored
+      .filter(([deviceId, device]) => device.connectivity)
+      .map(([deviceId, { connectivity }]) => ({
+        deviceId: deviceId,
+        device: connectivity.device || deviceId,
+        ssid: connectivity.ssid ?? null,
+        signal: connectivity.signal ?? null,
+        offline: connectivity.offline || null,
+        lastSeen: connectivity.lastSeen ?? null,
+        updatedAt: connectivity.updatedAt || null
+      }));
+    
+    return {
+      success: true,
+      devices: devices
+    };
+  }
+  
+  // Per-door sections of the plugin state, read without changing the file
+  async readDeviceState() {
+    const storagePath = this.homebridgeStoragePath;
+    if (!storagePath) {
+      return [];
+    }
+    
+    let data;
+    try {
+      data = JSON.parse(await fs.promises.readFile(path.join(storagePath, STATE_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      data = {};
+    }
+    
+    return Object.entries(new StateStore(storagePath).migrate(data).devices);
+  }
+  
+  async readHistory() {
+    const storagePath = this.homebridgeStoragePath;
+    if (!storagePath) {
+      return [];
+    }
+    
+    const base = path.join(storagePath, HISTORY_FILE);
+    const files = [base];
+    for (let index = 1; index <= HISTORY_ROTATIONS; index++) {
+      files.push(`${base}.${index}`);
+    }
+    
+    const entries = [];
+    for (const file of files) {
+      let data;
+      try {
+        data = await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+      
+      // lines are oldest first, and a line cut short by a crash is skipped
+      const lines = data.split('\n').filter(line => line.trim());
+      for (let index = lines.length - 1; index >= 0; index--) {
+        try {
+          entries.push(JSON.parse(lines[index]));
+        } catch (e) {
+          // ignore partial line
+        }
+      }
+    }
+    
+    return entries;
+  }
+  
   async handleLogin(payload) {
-    const { email, password, countryCode, debug } = payload;
+    const { email, password, countryCode } = payload;
     
     if (!email || !password || !countryCode) {
       throw new RequestError('Email, password, and country code are required', { status: 400 });
     }
     
+    const client = this.createClient(payload);
     try {
-      const token = await this.performOmletLogin(email, password, countryCode, debug);
+      const token = await client.login(email, password, countryCode);
       
       return {
         success: true,
@@ -68,14 +231,15 @@ class OmletPluginUiServer extends HomebridgePluginUiServer {
   }
   
   async handleDiscover(payload) {
-    const { token, debug } = payload;
+    const { token } = payload;
     
     if (!token) {
       throw new RequestError('Bearer token is required', { status: 400 });
     }
     
+    const client = this.createClient(payload);
     try {
-      const devices = await this.discoverOmletDevices(token, debug);
+      const devices = await client.listDevices();
       
       return {
         success: true,
@@ -86,200 +250,18 @@ class OmletPluginUiServer extends HomebridgePluginUiServer {
     }
   }
   
-  performOmletLogin(email, password, countryCode, debug = false) {
-    return new Promise((resolve, reject) => {
-      const postData = JSON.stringify({
-        emailAddress: email,
-        password: password,
-        cc: countryCode
-      });
-      
-      const options = {
-        hostname: 'x107.omlet.co.uk',
-        port: 443,
-        path: '/api/v1/login',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(postData)
-        }
-      };
-      
-      if (debug) {
-        console.log('=== OMLET LOGIN REQUEST ===');
-        console.log('URL:', `https://${options.hostname}${options.path}`);
-        console.log('Method:', options.method);
-        console.log('Headers:', JSON.stringify(options.headers, null, 2));
-        console.log('Body:', postData);
-        console.log('===========================');
-      }
-      
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          if (debug) {
-            console.log('Response Body:', data);
-            console.log('Body Length:', data.length, 'bytes');
-            console.log('============================');
-          }
-          
-          if (res.statusCode === 200) {
-            try {
-              const response = JSON.parse(data);
-              
-              if (debug) {
-                console.log('=== PARSED JSON ===');
-                console.log(JSON.stringify(response, null, 2));
-                console.log('===================');
-              }
-              
-              const token = response.data?.api_key || 
-                           response.data?.apiKey || 
-                           response.data?.token ||
-                           response.api_key ||
-                           response.apiKey ||
-                           response.token;
-              
-              if (token) {
-                if (debug) {
-                  console.log('✓ Token extracted:', token.substring(0, 20) + '...');
-                }
-                resolve(token);
-              } else {
-                if (debug) {
-                  console.log('✗ NO TOKEN FOUND IN RESPONSE');
-                  console.log('Response structure:', Object.keys(response));
-                  if (response.data) {
-                    console.log('Response.data structure:', Object.keys(response.data));
-                  }
-                }
-                reject(new Error(`No API key found. Response keys: ${Object.keys(response).join(', ')}`));
-              }
-            } catch (e) {
-              if (debug) {
-                console.log('✗ JSON PARSE ERROR:', e.message);
-              }
-              reject(new Error(`JSON parse failed: ${e.message}. Raw data: ${data.substring(0, 200)}`));
-            }
-          } else {
-            if (debug) {
-              console.log('✗ NON-200 STATUS CODE');
-            }
-            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-          }
-        });
-      });
-      
-      req.on('error', (error) => {
-        if (debug) {
-          console.log('✗ REQUEST ERROR:', error.message);
-        }
-        reject(error);
-      });
-      
-      req.write(postData);
-      req.end();
-    });
-  }
-  
-  discoverOmletDevices(token, debug = false) {
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: 'x107.omlet.co.uk',
-        port: 443,
-        path: '/api/v1/device',
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`
-        }
-      };
-      
-      if (debug) {
-        console.log('=== OMLET DISCOVERY REQUEST ===');
-        console.log('URL:', `https://${options.hostname}${options.path}`);
-        console.log('Method:', options.method);
-        console.log('Headers:', JSON.stringify({
-          ...options.headers,
-          'Authorization': 'Bearer ' + token.substring(0, 20) + '...'
-        }, null, 2));
-        console.log('===============================');
-      }
-      
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          if (debug) {
-            console.log('Response Body:', data);
-            console.log('Body Length:', data.length, 'bytes');
-            console.log('================================');
-          }
-          
-          if (res.statusCode === 200) {
-            try {
-              const response = JSON.parse(data);
-              
-              if (debug) {
-                console.log('=== PARSED JSON ===');
-                console.log(JSON.stringify(response, null, 2));
-                console.log('===================');
-              }
-              
-              // Check if response is directly an array OR has a data property with an array
-              const devicesArray = Array.isArray(response) ? response : 
-                                   (response.data && Array.isArray(response.data)) ? response.data : 
-                                   null;
-              
-              if (devicesArray) {
-                const devices = devicesArray.map(device => ({
-                  deviceId: device.deviceId,
-                  name: device.name || 'Unknown Device',
-                  type: device.deviceType || 'Unknown'
-                }));
-                if (debug) {
-                  console.log('✓ Devices extracted:', devices.length);
-                }
-                resolve(devices);
-              } else {
-                if (debug) {
-                  console.log('✗ NO DEVICES ARRAY FOUND');
-                  console.log('Response is array?', Array.isArray(response));
-                  console.log('Response structure:', typeof response === 'object' ? Object.keys(response) : typeof response);
-                }
-                reject(new Error(`No devices array found in response`));
-              }
-            } catch (e) {
-              if (debug) {
-                console.log('✗ JSON PARSE ERROR:', e.message);
-              }
-              reject(new Error(`JSON parse failed: ${e.message}. Raw data: ${data.substring(0, 200)}`));
-            }
-          } else {
-            if (debug) {
-              console.log('✗ NON-200 STATUS CODE');
-            }
-            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-          }
-        });
-      });
-      
-      req.on('error', (error) => {
-        if (debug) {
-          console.log('✗ REQUEST ERROR:', error.message);
-        }
-        reject(error);
-      });
-      
-      req.end();
+  // requests go to the API server entered in the form; debug output goes to the Homebridge log
+  createClient(payload) {
+    const host = payload.apiServer || DEFAULT_HOST;
+    if (!OmletClient.isValidHostname(host)) {
+      throw new RequestError(`Invalid API server hostname: "${host}"`, { status: 400 });
+    }
+    
+    return new OmletClient({
+      host: host,
+      token: payload.token,
+      log: console,
+      debug: payload.debug === true
     });
   }
 }
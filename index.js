@@ -1,13 +1,209 @@
-const https = require('https');
 const fs = require('fs');
+const fakegato = require('fakegato-history');
+const { OmletClient, DEFAULT_HOST } = require('./lib/omlet-client');
+const { TokenStore, StateStore } = require('./lib/storage');
 
 let hap;
+let CustomCharacteristic;
+let FakeGatoHistoryService;
+
+// Eve's history service, as fakegato registers it
+const EVE_HISTORY_UUID = 'E863F007-079E-48FF-8F27-9C2605A29F52';
+
+const TRANSITIONAL_DOOR_STATES = ['opening', 'closing', 'stopping'];
+const TRANSITIONAL_LIGHT_STATES = ['onpending', 'offpending'];
+
+// Omlet fault and error codes, as found in the door/general/light sections of the device status.
+// Codes not listed here are logged once with the raw payload so the table can grow.
+const FAULT_MESSAGES = {
+  jammed: 'Door is jammed',
+  blocked: 'Door is blocked, check for debris or bedding in the runners',
+  obstructed: 'Door hit an obstruction',
+  overcurrent: 'Door motor drew too much current and stopped, it may be blocked',
+  motorFault: 'Door motor fault',
+  motorTimeout: 'Door motor ran too long without reaching the end stop',
+  notCalibrated: 'Door is not calibrated, run calibration in the Omlet app',
+  calibrationFailed: 'Door calibration failed',
+  lightSensorFault: 'Ambient light sensor fault, light-based schedule will not work',
+  batteryFlat: 'Batteries are flat, the door can no longer move',
+  lowBattery: 'Batteries are low',
+  clockNotSet: 'Device clock is not set, time-based schedule will not work',
+  lightFault: 'Coop light fault',
+  lightDisconnected: 'Coop light module is disconnected'
+};
+
+// values Omlet uses in fault fields when everything is fine
+const NO_FAULT_VALUES = ['', 'none', 'ok', 'normal', '0'];
+
+// consecutive fast polls allowed before backing off, even if a door is still moving
+const MAX_FAST_POLLS = 24;
+
+// after this many failed polls in a row the cloud counts as down: one message, then occasional probes
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_PROBE_MIN = 60 * 1000;
+const CIRCUIT_PROBE_MAX = 15 * 60 * 1000;
+
+// after auth fails for good, login is retried on a growing interval between these
+const AUTH_RECOVERY_MIN = 10 * 60 * 1000;
+const AUTH_RECOVERY_MAX = 6 * 60 * 60 * 1000;
+// how often the config and token files are checked for new credentials while auth is down
+const CREDENTIALS_WATCH_INTERVAL = 10 * 1000;
+
+// requests retry transient failures once; commands twice, so a blip doesn't fail an open from HomeKit
+const REQUEST_RETRIES = 1;
+const COMMAND_RETRIES = 2;
+// HomeKit fails a write it has no answer to after 9 seconds, so a command still being sent (or
+// retried) by this point is answered and carries on in the background
+const COMMAND_ANSWER_WAIT = 5 * 1000;
+
+// schedule changes made in the Omlet app are picked up when HomeKit reads an older copy
+const CONFIGURATION_MAX_AGE = 10 * 60 * 1000;
+
+// a command that no poll has confirmed within this window no longer keeps polling fast
+const COMMAND_PENDING_TIMEOUT = 120 * 1000;
+
+// event history rotates to .1, .2 once the current file reaches this size
+const HISTORY_MAX_BYTES = 512 * 1024;
+const HISTORY_ROTATIONS = 2;
+
+// a battery level rising this much between readings means the batteries were replaced
+const BATTERY_SWAP_RISE = 20;
+const BATTERY_MAX_READINGS = 500;
+// the drain estimate needs readings spread over at least this many days
+const BATTERY_MIN_SPAN_DAYS = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// powerSource values reported while the door runs on its power adapter
+const MAINS_POWER_SOURCES = ['external', 'mains', 'usb'];
+
+// connection values Omlet uses, as strings or booleans
+const ONLINE_VALUES = ['online', 'connected', 'true'];
+const OFFLINE_VALUES = ['offline', 'disconnected', 'false'];
+
+// the connectivity snapshot read by the custom UI is rewritten at most this often unless something changes
+const CONNECTIVITY_SAVE_INTERVAL = 10 * 60 * 1000;
+
+// where a transitional state is heading, so a matching command can wait for it instead of being sent
+const TRANSITION_TARGETS = {
+  opening: 'open',
+  closing: 'closed',
+  onpending: 'on',
+  offpending: 'off'
+};
+
+const DOOR_MODES = ['time', 'light', 'manual'];
+
+// Custom characteristics use their own UUIDs; Eve and similar apps show them by name
+function createCustomCharacteristics(hap) {
+  const define = (name, uuid, props) => {
+    const CustomType = class extends hap.Characteristic {
+      constructor() {
+        super(name, uuid, props);
+        this.value = this.getDefaultValue();
+      }
+    };
+    CustomType.UUID = uuid;
+    return CustomType;
+  };
+  
+  const writableString = {
+    format: hap.Formats.STRING,
+    perms: [hap.Perms.PAIRED_READ, hap.Perms.PAIRED_WRITE, hap.Perms.NOTIFY]
+  };
+  const readOnly = [hap.Perms.PAIRED_READ, hap.Perms.NOTIFY];
+  
+  return {
+    OpenMode: define('Open Mode', '5E0C1A01-3B7D-4F2A-9C61-8D4E2B7A1F01', writableString),
+    OpenTime: define('Open Time', '5E0C1A02-3B7D-4F2A-9C61-8D4E2B7A1F01', writableString),
+    CloseMode: define('Close Mode', '5E0C1A03-3B7D-4F2A-9C61-8D4E2B7A1F01', writableString),
+    CloseTime: define('Close Time', '5E0C1A04-3B7D-4F2A-9C61-8D4E2B7A1F01', writableString),
+    // signal is passed through as the door reports it (dBm on current firmware)
+    WifiSignal: define('Wi-Fi Signal', '5E0C1A05-3B7D-4F2A-9C61-8D4E2B7A1F01', {
+      format: hap.Formats.INT,
+      minValue: -127,
+      maxValue: 100,
+      perms: readOnly
+    }),
+    LastSeen: define('Last Seen', '5E0C1A06-3B7D-4F2A-9C61-8D4E2B7A1F01', { format: hap.Formats.STRING, perms: readOnly })
+  };
+}
+
+// Sun position maths follows the NOAA/suncalc approximations, accurate to about a minute.
+// Angles are the sun's altitude in degrees at each event.
+const SUN_EVENT_ANGLES = {
+  civilDawn: -6,
+  sunrise: -0.833,
+  sunset: -0.833,
+  civilDusk: -6
+};
+const SUN_EVENTS = Object.keys(SUN_EVENT_ANGLES);
+
+// returns the time of a sun event on the day containing `date`, or null when the sun never gets there (polar day/night)
+function getSunEventTime(event, date, latitude, longitude) {
+  const rad = Math.PI / 180;
+  const dayMs = 24 * 60 * 60 * 1000;
+  const J1970 = 2440588;
+  const J2000 = 2451545;
+  const J0 = 0.0009;
+  const obliquity = rad * 23.4397;
+  
+  const lw = rad * -longitude;
+  const phi = rad * latitude;
+  const days = date.valueOf() / dayMs - 0.5 + J1970 - J2000;
+  
+  const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+  const approxNoon = J0 + lw / (2 * Math.PI) + cycle;
+  const meanAnomaly = rad * (357.5291 + 0.98560028 * approxNoon);
+  const center = rad * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+  const eclipticLongitude = meanAnomaly + center + rad * 102.9372 + Math.PI;
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+  const solarNoon = J2000 + approxNoon + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+  
+  const altitude = rad * SUN_EVENT_ANGLES[event];
+  const cosHourAngle = (Math.sin(altitude) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination));
+  if (cosHourAngle < -1 || cosHourAngle > 1) {
+    return null;
+  }
+  
+  const hourAngle = Math.acos(cosHourAngle);
+  const setting = J2000 + J0 + (hourAngle + lw) / (2 * Math.PI) + cycle
+    + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+  const julian = (event === 'sunset' || event === 'civilDusk') ? setting : solarNoon - (setting - solarNoon);
+  
+  return new Date((julian + 0.5 - J1970) * dayMs);
+}
+
+// the first moment after `from` that falls `minutes` after midnight, local time
+function nextTimeOfDay(minutes, from) {
+  const time = new Date(from);
+  time.setHours(0, minutes, 0, 0);
+  if (time <= from) {
+    time.setDate(time.getDate() + 1);
+  }
+  return time;
+}
+
+// tag accessory log lines with the door name so multiple coops can be told apart
+function prefixLogger(log, prefix) {
+  const wrap = (fn) => (message, ...args) => fn.call(log, `[${prefix}] ${message}`, ...args);
+  return {
+    info: wrap(log.info),
+    warn: wrap(log.warn),
+    error: wrap(log.error),
+    debug: wrap(log.debug)
+  };
+}
 
 module.exports = (api) => {
   hap = api.hap;
+  CustomCharacteristic = createCustomCharacteristics(api.hap);
+  FakeGatoHistoryService = fakegato(api);
   api.registerPlatform('homebridge-omlet', 'OmletCoop', OmletCoopPlatform);
 };
 
+// for scripts that talk to the Omlet API directly
+module.exports.OmletClient = OmletClient;
+
 class OmletCoopPlatform {
   constructor(log, config, api) {
     this.log = log;
@@ -18,20 +214,68 @@ class OmletCoopPlatform {
     this.password = config.password;
     this.countryCode = this.validateCountryCode(config.countryCode);
     this.bearerToken = this.validateToken(config.bearerToken, 'bearerToken');
-    this.deviceId = this.validateDeviceId(config.deviceId, 'deviceId');
-    this.baseUrl = this.validateHostname(config.apiServer) || 'x107.omlet.co.uk';
+    this.deviceIds = this.validateDeviceIds(config.deviceId);
+    this.deviceFilterMode = this.validateDeviceFilterMode(config.deviceFilterMode);
+    this.baseUrl = this.validateHostname(config.apiServer) || DEFAULT_HOST;
     this.pollInterval = this.validatePollInterval(config.pollInterval);
+    this.fastPollInterval = this.validateInteger(config.fastPollInterval, 'fastPollInterval', 2, 15, 5) * 1000;
+    this.nightPollInterval = this.validateNightPollInterval(config.nightPollInterval);
+    this.nightStart = this.validateTimeOfDay(config.nightStart, 'nightStart') ?? 21 * 60;
+    this.nightEnd = this.validateTimeOfDay(config.nightEnd, 'nightEnd') ?? 6 * 60;
+    this.doorTravelTime = this.validateInteger(config.doorTravelTime, 'doorTravelTime', 10, 300, 45) * 1000;
     this.enableLight = config.enableLight !== false; // default true for backwards compatibility
     this.enableBattery = config.enableBattery === true; // default false (not visible in Apple Home)
+    this.lowBatteryThreshold = this.validateInteger(config.lowBatteryThreshold, 'lowBatteryThreshold', 1, 99, 20);
+    this.lowBatteryDays = this.validateInteger(config.lowBatteryDays, 'lowBatteryDays', 1, 90, null);
+    this.offlineAfter = this.validateInteger(config.offlineAfterMinutes, 'offlineAfterMinutes', 5, 1440, 30) * 60 * 1000;
+    this.staleAfterPolls = this.validateInteger(config.staleAfterPolls, 'staleAfterPolls', 1, 20, 3);
+    this.staleAfter = this.validateStaleAfter(config.staleAfterMinutes);
+    this.enableConnectivityCharacteristics = config.enableConnectivityCharacteristics === true;
+    this.enableScheduleControls = config.enableScheduleControls === true;
+    this.enableLightSensor = config.enableLightSensor === true;
+    this.lightLevelScale = this.validateLightLevelScale(config.lightLevelScale);
+    this.sunSchedule = this.validateSunSchedule(config);
+    this.closeWatchdog = this.validateCloseWatchdog(config);
+    this.enableEveHistory = config.enableEveHistory === true;
+    // Eve only draws door history for a contact sensor
+    this.enableContactSensor = config.enableContactSensor === true || this.enableEveHistory;
+    this.enableLockdown = config.enableLockdown === true;
+    this.enableTimedOpen = config.enableTimedOpen === true;
+    this.enableManualEvents = config.enableManualEvents === true;
+    this.timedOpenDuration = this.validateInteger(config.timedOpenMinutes, 'timedOpenMinutes', 1, 480, 60) * 60 * 1000;
+    this.openTooLong = this.validateOpenTooLong(config);
     this.debug = config.debug || false;
     
     this.currentToken = null;
-    this.storage = this.api.user.storagePath() + '/omlet-coop-tokens.json';
+    this.client = new OmletClient({
+      host: this.baseUrl,
+      getToken: () => this.getCurrentToken(),
+      log: this.log,
+      debug: this.debug,
+      retries: REQUEST_RETRIES,
+      onAuthError: () => this.handleAuthError()
+    });
+    this.tokenStore = new TokenStore(this.api.user.storagePath(), { log: this.log });
+    this.stateStore = new StateStore(this.api.user.storagePath(), { log: this.log });
+    this.historyStorage = this.api.user.storagePath() + '/omlet-coop-history.jsonl';
+    this.historySize = null;
     this.authFailedPermanently = false;
     this.reloginAttempts = 0;
     this.maxReloginAttempts = 3;
+    this.authRecoveryTimer = null;
+    this.authRecoveryDelay = AUTH_RECOVERY_MIN;
+    this.authRecovering = false;
+    this.watchedCredentialFiles = [];
     
     this.accessories = [];
+    this.coopAccessories = new Map();
+    
+    this.pollMode = 'idle';
+    this.fastPollCount = 0;
+    this.lastStateChange = 0;
+    this.pollFailures = 0;
+    this.circuitOpenedAt = null;
+    this.circuitDelay = CIRCUIT_PROBE_MIN;
     
     this.log.info('Omlet Coop platform loaded');
     if (this.debug) {
@@ -39,7 +283,7 @@ class OmletCoopPlatform {
     }
     
     const hasEmailPassword = this.email && this.password;
-    const hasManualToken = this.bearerToken && this.deviceId;
+    const hasManualToken = !!this.bearerToken;
     
     if (!hasEmailPassword && !hasManualToken) {
       this.log.error('Enter email address & password to configure plugin');
@@ -48,8 +292,16 @@ class OmletCoopPlatform {
     
     this.api.on('didFinishLaunching', async () => {
       await this.loadStoredCredentials();
+      this.loadPluginState();
       await this.initialize();
     });
+    
+    this.api.on('shutdown', () => {
+      this.stopAuthRecovery();
+      this.stopPolling();
+      this.stopSunSchedule();
+      this.coopAccessories.forEach(coopAccessory => coopAccessory.stopTimers());
+    });
   }
   
   // input validation
@@ -81,6 +333,149 @@ class OmletCoopPlatform {
     return interval * 1000;
   }
   
+  validateSunSchedule(config) {
+    if (config.enableSunSchedule !== true) {
+      return null;
+    }
+    
+    const latitude = parseFloat(config.latitude);
+    const longitude = parseFloat(config.longitude);
+    
+    if (isNaN(latitude) || latitude < -90 || latitude > 90 || isNaN(longitude) || longitude < -180 || longitude > 180) {
+      this.log.error('Sun schedule needs a valid latitude (-90 to 90) and longitude (-180 to 180), sun schedule disabled');
+      return null;
+    }
+    
+    const validateEvent = (value, fieldName, defaultValue) => {
+      if (!value) {
+        return defaultValue;
+      }
+      if (!SUN_EVENTS.includes(value)) {
+        this.log.warn(`Invalid ${fieldName} "${value}", using default "${defaultValue}"`);
+        return defaultValue;
+      }
+      return value;
+    };
+    
+    return {
+      latitude,
+      longitude,
+      open: {
+        event: validateEvent(config.sunOpenEvent, 'sunOpenEvent', 'sunrise'),
+        offset: this.validateInteger(config.sunOpenOffset, 'sunOpenOffset', -180, 180, 0)
+      },
+      close: {
+        event: validateEvent(config.sunCloseEvent, 'sunCloseEvent', 'sunset'),
+        offset: this.validateInteger(config.sunCloseOffset, 'sunCloseOffset', -180, 180, 0)
+      }
+    };
+  }
+  
+  validateCloseWatchdog(config) {
+    if (config.enableCloseWatchdog !== true) {
+      return null;
+    }
+    
+    const alert = config.closeWatchdogAlert || 'none';
+    if (!['none', 'contact', 'motion'].includes(alert)) {
+      this.log.warn(`Invalid closeWatchdogAlert "${alert}", using default "none"`);
+    }
+    
+    return {
+      time: this.validateTimeOfDay(config.closeWatchdogTime, 'closeWatchdogTime'),
+      offset: this.validateInteger(config.closeWatchdogOffset, 'closeWatchdogOffset', 1, 240, 30),
+      retries: this.validateInteger(config.closeWatchdogRetries, 'closeWatchdogRetries', 0, 5, 2),
+      alert: ['contact', 'motion'].includes(alert) ? alert : null
+    };
+  }
+  
+  validateOpenTooLong(config) {
+    const minutes = this.validateInteger(config.openTooLongMinutes, 'openTooLongMinutes', 1, 1440, null);
+    const time = this.validateTimeOfDay(config.openTooLongTime, 'openTooLongTime');
+    
+    if (minutes === null && time === undefined) {
+      return null;
+    }
+    
+    return {
+      duration: minutes === null ? null : minutes * 60 * 1000,
+      time
+    };
+  }
+  
+  validateLightLevelScale(value) {
+    if (value === undefined || value === null || value === '') {
+      return 1;
+    }
+    
+    const scale = parseFloat(value);
+    
+    if (isNaN(scale) || scale <= 0) {
+      this.log.warn(`Invalid lightLevelScale "${value}", using default 1`);
+      return 1;
+    }
+    
+    return scale;
+  }
+  
+  validateNightPollInterval(value) {
+    if (value === undefined || value === null || value === '' || parseInt(value) === 0) {
+      return null; // night polling disabled
+    }
+    
+    // never poll less often at night than during the day
+    const minimum = this.pollInterval / 1000;
+    return this.validateInteger(value, 'nightPollInterval', minimum, 3600, minimum) * 1000;
+  }
+  
+  // data is only expected to be as old as the longest poll interval, so allow two of those
+  validateStaleAfter(value) {
+    const longestInterval = Math.max(this.pollInterval, this.nightPollInterval || 0);
+    const minimum = Math.ceil(2 * longestInterval / 60000);
+    return this.validateInteger(value, 'staleAfterMinutes', minimum, 1440, Math.max(10, minimum)) * 60 * 1000;
+  }
+  
+  validateInteger(value, fieldName, min, max, defaultValue) {
+    if (value === undefined || value === null || value === '') {
+      return defaultValue;
+    }
+    
+    const number = parseInt(value);
+    
+    if (isNaN(number)) {
+      this.log.warn(`Invalid ${fieldName} "${value}", using default ${defaultValue}`);
+      return defaultValue;
+    }
+    
+    if (number < min) {
+      this.log.warn(`${fieldName} ${number} is too low, enforcing minimum of ${min}`);
+      return min;
+    }
+    
+    if (number > max) {
+      this.log.warn(`${fieldName} ${number} is too high, enforcing maximum of ${max}`);
+      return max;
+    }
+    
+    return number;
+  }
+  
+  // returns minutes after midnight for an "HH:MM" string
+  validateTimeOfDay(value, fieldName) {
+    if (!value) {
+      return undefined;
+    }
+    
+    const match = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/.exec(String(value).trim());
+    
+    if (!match) {
+      this.log.warn(`Invalid ${fieldName} "${value}", expected HH:MM (24-hour)`);
+      return undefined;
+    }
+    
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+  }
+  
   validateEmail(email) {
     if (!email) {
       return undefined;
@@ -145,15 +540,40 @@ class OmletCoopPlatform {
     return deviceId;
   }
   
+  validateDeviceIds(value) {
+    if (!value) {
+      return [];
+    }
+    
+    // A single ID string is still accepted from older configs
+    const entries = Array.isArray(value) ? value : String(value).split(',');
+    
+    return entries
+      .map(entry => String(entry).trim())
+      .filter(entry => entry.length > 0)
+      .map(entry => this.validateDeviceId(entry, `deviceId "${entry}"`))
+      .filter(entry => entry !== undefined);
+  }
+  
+  validateDeviceFilterMode(mode) {
+    if (!mode) {
+      return 'include';
+    }
+    
+    if (mode !== 'include' && mode !== 'exclude') {
+      this.log.warn(`Invalid deviceFilterMode "${mode}", using default "include"`);
+      return 'include';
+    }
+    
+    return mode;
+  }
+  
   validateHostname(hostname) {
     if (!hostname) {
       return undefined;
     }
     
-    // Basic hostname validation: letters, digits, dots, hyphens
-    const hostnameRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-    
-    if (!hostnameRegex.test(hostname)) {
+    if (!OmletClient.isValidHostname(hostname)) {
       this.log.error(`Invalid API server hostname: "${hostname}"`);
       return undefined;
     }
@@ -163,50 +583,119 @@ class OmletCoopPlatform {
   
   // credential storage
   
+  // The token is encrypted at rest and kept per account. A token that fails to decrypt is ignored,
+  // so the plugin falls back to the configured token or logs in again and overwrites it.
   async loadStoredCredentials() {
+    let data;
     try {
-      if (fs.existsSync(this.storage)) {
-        const data = JSON.parse(fs.readFileSync(this.storage, 'utf8'));
-        
-        // stored credentials take priority over config since they're more recent
-        if (data.bearerToken) {
-          const validToken = this.validateToken(data.bearerToken, 'stored bearerToken');
-          if (validToken) {
-            this.bearerToken = validToken;
-            this.log.info('Loaded stored API token');
-          } else {
-            this.log.warn('Stored API token is invalid, ignoring');
-          }
-        }
-        
-        if (data.deviceId) {
-          const validDeviceId = this.validateDeviceId(data.deviceId, 'stored deviceId');
-          if (validDeviceId) {
-            this.deviceId = validDeviceId;
-            this.log.info('Loaded stored device ID');
-          } else {
-            this.log.warn('Stored device ID is invalid, ignoring');
-          }
-        }
-      }
+      data = this.tokenStore.load(this.email);
     } catch (error) {
-      this.log.error('Failed to load stored credentials:', error.message);
+      this.log.error(`[Auth] Ignoring stored API token: ${error.message}`);
+      return;
+    }
+    
+    // stored credentials take priority over config since they're more recent
+    if (data?.bearerToken) {
+      const validToken = this.validateToken(data.bearerToken, 'stored bearerToken');
+      if (validToken) {
+        this.bearerToken = validToken;
+        this.log.info('Loaded stored API token');
+      } else {
+        this.log.warn('Stored API token is invalid, ignoring');
+      }
     }
   }
   
   async saveStoredCredentials() {
     try {
-      const data = {
-        bearerToken: this.bearerToken,
-        deviceId: this.deviceId,
-        lastUpdated: new Date().toISOString()
-      };
-      
-      fs.writeFileSync(this.storage, JSON.stringify(data, null, 2));
+      this.tokenStore.save(this.email, this.bearerToken);
       this.log.info('Saved credentials to storage');
     } catch (error) {
-      this.log.error('Failed to save API token and device ID:', error.message);
+      this.log.error('Failed to save API token:', error.message);
+    }
+  }
+  
+  // plugin state (schedules per account, and lockdown, automatic modes, timers, battery,
+  // connectivity and the last status per door; see lib/storage.js)
+  
+  loadPluginState() {
+    try {
+      this.stateStore.load();
+    } catch (error) {
+      this.log.error('Failed to load plugin state:', error.message);
+    }
+  }
+  
+  savePluginState() {
+    try {
+      this.stateStore.save();
+    } catch (error) {
+      this.log.error('Failed to save plugin state:', error.message);
+    }
+  }
+  
+  // last good status of each door, so HomeKit has something to show before the first poll after a restart
+  // Unchanged statuses aren't written again, to spare SD cards during fast polling. The file is
+  // still refreshed well within staleAfter, so a restart doesn't take a steady door for stale.
+  saveStatusSnapshot(statuses) {
+    const savedAt = new Date().toISOString();
+    const changed = [...this.coopAccessories.keys()].some(deviceId => {
+      const status = statuses.get(deviceId);
+      return status && JSON.stringify(status) !== JSON.stringify(this.stateStore.device(deviceId).status?.status);
+    });
+    if (!changed && Date.now() - (this.snapshotWrittenAt || 0) < this.staleAfter / 2) {
+      return;
+    }
+    
+    this.coopAccessories.forEach((coopAccessory, deviceId) => {
+      const status = statuses.get(deviceId);
+      if (status) {
+        this.stateStore.device(deviceId).status = { savedAt, status };
+      }
+    });
+    
+    try {
+      this.stateStore.save();
+      this.snapshotWrittenAt = Date.now();
+    } catch (error) {
+      if (!this.snapshotErrorLogged) {
+        this.log.error('Failed to save status snapshot:', error.message);
+        this.snapshotErrorLogged = true;
+      }
+    }
+  }
+  
+  // event history (one JSON object per line, read by the custom UI)
+  
+  recordHistory(entry) {
+    const line = JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n';
+    
+    try {
+      if (this.historySize === null) {
+        this.historySize = fs.existsSync(this.historyStorage) ? fs.statSync(this.historyStorage).size : 0;
+      }
+      if (this.historySize + line.length > HISTORY_MAX_BYTES) {
+        this.rotateHistory();
+      }
+      fs.appendFileSync(this.historyStorage, line);
+      this.historySize += line.length;
+    } catch (error) {
+      // one failure usually means every write will fail, so don't flood the log
+      if (!this.historyErrorLogged) {
+        this.log.error('Failed to write event history:', error.message);
+        this.historyErrorLogged = true;
+      }
+    }
+  }
+  
+  rotateHistory() {
+    for (let index = HISTORY_ROTATIONS; index > 0; index--) {
+      const source = index > 1 ? `${this.historyStorage}.${index - 1}` : this.historyStorage;
+      if (fs.existsSync(source)) {
+        fs.renameSync(source, `${this.historyStorage}.${index}`);
+      }
     }
+    this.historySize = 0;
   }
   
   async initialize() {
@@ -214,49 +703,48 @@ class OmletCoopPlatform {
       if (this.bearerToken) {
         this.log.info('Using configured API token');
         this.currentToken = this.bearerToken;
-        
-        if (!this.deviceId) {
-          this.log.info('Discovering device ID');
-          await this.autoDiscoverDevice();
-          
-          if (!this.deviceId) {
-            this.log.error('No device ID found! Please ensure your coop door is connected to your Omlet account and try again.');
-            return;
-          }
-        }
-        
-        await this.discoverDevices();
-        return;
-      }
-      
-      if (!this.email || !this.password) {
+      } else if (this.email && this.password) {
+        this.log.info('Logging into Omlet API');
+        await this.login();
+      } else {
         this.log.error('Enter email address & password to configure plugin');
         return;
       }
-      
-      this.log.info('Logging into Omlet API');
-      await this.login();
-      
-      if (!this.deviceId) {
-        this.log.info('Discovering device ID');
-        await this.autoDiscoverDevice();
-      }
-      
-      if (!this.deviceId) {
-        this.log.error('No device ID found! Please ensure your coop door is connected to your Omlet account and try again.');
-        return;
-      }
-      
-      await this.discoverDevices();
-      
     } catch (error) {
       this.log.error('Initialization failed:', error.message);
+      this.markAuthFailed('Could not log in at startup');
+      this.restoreCachedDevices();
+      return;
+    }
+    
+    if (!await this.verifyToken()) {
+      this.restoreCachedDevices();
+      return;
+    }
+    
+    await this.discoverDevices();
+  }
+  
+  // One authenticated request before discovery and polling, so a dead token is refreshed (or
+  // reported) up front. Anything other than an auth failure is left to discovery to deal with.
+  async verifyToken() {
+    try {
+      await this.client.getGroups('Auth');
+      if (this.debug) {
+        this.log.info('[Auth] API token verified');
+      }
+      return true;
+    } catch (error) {
+      return !error.isAuthError && !this.authFailedPermanently;
     }
   }
   
   async login() {
     try {
-      const apiKey = await this.performLogin();
+      const apiKey = await this.client.login(this.email, this.password, this.countryCode);
+      if (this.debug) {
+        this.log.info('[Auth] Bearer token received:', apiKey);
+      }
       
       this.currentToken = apiKey;
       this.bearerToken = apiKey; // keep in sync with stored value
@@ -277,194 +765,26 @@ class OmletCoopPlatform {
     }
   }
   
-  performLogin() {
-    return new Promise((resolve, reject) => {
-      const postData = JSON.stringify({
-        emailAddress: this.email,
-        password: this.password,
-        cc: this.countryCode
-      });
-      
-      const options = {
-        hostname: this.baseUrl,
-        port: 443,
-        path: '/api/v1/login',
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': postData.length,
-          'Accept': 'application/json'
-        },
-        timeout: 10000
-      };
-      
-      if (this.debug) {
-        this.log.info('[Auth] POST /api/v1/login');
-      }
-      
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          if (this.debug) {
-            this.log.info('[Auth] Response status:', res.statusCode);
-          }
-          
-          if (res.statusCode === 200) {
-            try {
-              const json = JSON.parse(data);
-              if (json.apiKey) {
-                if (this.debug) {
-                  this.log.info('[Auth] Bearer token received:', json.apiKey);
-                }
-                resolve(json.apiKey);
-              } else {
-                reject(new Error('No apiKey in response'));
-              }
-            } catch (error) {
-              reject(new Error('Failed to parse login response'));
-            }
-          } else {
-            const error = new Error(`HTTP ${res.statusCode}`);
-            error.statusCode = res.statusCode;
-            error.response = data;
-            reject(error);
-          }
-        });
-      });
-      
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Login request timeout'));
-      });
-      
-      req.on('error', (error) => {
-        reject(error);
-      });
-      
-      req.write(postData);
-      req.end();
-    });
-  }
-  
-  async autoDiscoverDevice() {
-    try {
-      this.log.info('Discovering devices on your account...');
-      
-      const devices = await this.discoverAllDevices();
-      
-      if (devices.length === 0) {
-        this.log.warn('No devices found on your account');
-        return;
-      }
-      
-      if (devices.length === 1) {
-        this.deviceId = devices[0].deviceId;
-        await this.saveStoredCredentials();
-        this.log.info('✓ Auto-discovered device:', devices[0].name, '(', this.deviceId, ')');
-      } else {
-        this.log.warn('Multiple devices found on your account:');
-        devices.forEach((device, index) => {
-          this.log.warn(`  ${index + 1}. ${device.name} (${device.deviceId})`);
-        });
-        this.log.warn('→ Please add one to your config.json: "deviceId": "DEVICE_ID_HERE"');
-      }
-      
-    } catch (error) {
-      this.log.error('Device discovery failed:', error.message);
+  async discoverAllDevices() {
+    const devices = await this.client.listDevices('Discovery');
+    
+    if (this.debug) {
+      this.log.info('[Discovery] Found', devices.length, 'device(s):', devices.map(d => `${d.name} (${d.deviceId})`).join(', '));
     }
-  }
-  
-  discoverAllDevices() {
-    return new Promise((resolve, reject) => {
-      const options = {
-        hostname: this.baseUrl,
-        port: 443,
-        path: '/api/v1/group',
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${this.currentToken}`,
-          'Accept': 'application/json'
-        },
-        timeout: 10000
-      };
-      
-      if (this.debug) {
-        this.log.info('[Discovery] GET /api/v1/group');
-      }
-      
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          if (this.debug) {
-            this.log.info('[Discovery] Response status:', res.statusCode);
-          }
-          if (res.statusCode === 200) {
-            try {
-              const json = JSON.parse(data);
-              const devices = [];
-              
-              // The API returns an array of groups directly
-              const groups = Array.isArray(json) ? json : (json.groups || []);
-              
-              groups.forEach(group => {
-                if (group.devices && Array.isArray(group.devices)) {
-                  group.devices.forEach(device => {
-                    devices.push({
-                      deviceId: device.deviceId,
-                      name: device.name || 'Omlet Device',
-                      type: device.deviceType || 'unknown'
-                    });
-                  });
-                }
-              });
-              
-              if (this.debug) {
-                this.log.info('[Discovery] Found', devices.length, 'device(s):', devices.map(d => `${d.name} (${d.deviceId})`).join(', '));
-              }
-              
-              resolve(devices);
-            } catch (error) {
-              reject(new Error('Failed to parse device list'));
-            }
-          } else {
-            reject(new Error(`HTTP ${res.statusCode}`));
-          }
-        });
-      });
-      
-      req.on('timeout', () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
-      });
-      
-      req.on('error', (error) => {
-        reject(error);
-      });
-      
-      req.end();
-    });
+    
+    return devices;
   }
   
   async handleAuthError() {
-    // If auth already failed 3 times, don't retry - just show "No Response" in HomeKit
+    // once re-login has given up, requests fail fast until the recovery scheduler gets back in
     if (this.authFailedPermanently) {
-      throw new Error('Authentication permanently failed - restart Homebridge after fixing credentials');
+      throw new Error('Not authenticated with Omlet, waiting for login to recover');
     }
 
     // If using token-only mode with no credentials, can't re-login
     if (!this.email || !this.password) {
       this.log.error('API token expired or invalid. No email/password configured for automatic re-login. Please update your API token in the plugin settings.');
-      this.authFailedPermanently = true;
+      this.markAuthFailed('API token rejected');
       return false;
     }
     
@@ -483,8 +803,7 @@ class OmletCoopPlatform {
       this.log.error('Failed to re-login:', error.message);
       
       if (this.reloginAttempts >= this.maxReloginAttempts) {
-        this.log.error(`Re-login failed ${this.maxReloginAttempts} times. Accessory will show "No Response" until Homebridge is restarted with valid credentials.`);
-        this.authFailedPermanently = true;
+        this.markAuthFailed(`Re-login failed ${this.maxReloginAttempts} times`);
       } else {
         this.log.warn(`Will retry on next operation (${this.maxReloginAttempts - this.reloginAttempts} attempts remaining)`);
       }
@@ -493,607 +812,2759 @@ class OmletCoopPlatform {
     }
   }
   
-  async discoverDevices() {
-    this.log.info('Setting up Homebridge accessories...');
-    
-    const uuid = this.api.hap.uuid.generate('omlet-coop-' + this.deviceId);
-    const existingAccessory = this.accessories.find(accessory => accessory.UUID === uuid);
-    
-    if (existingAccessory) {
-      this.log.info('Restoring existing accessory from cache:', existingAccessory.displayName);
-      new OmletCoopAccessory(this, existingAccessory);
-    } else {
-      this.log.info('Adding new accessory: Omlet Coop');
-      const coopAccessory = new this.api.platformAccessory('Omlet Coop', uuid);
-      new OmletCoopAccessory(this, coopAccessory);
-      this.api.registerPlatformAccessories('homebridge-omlet', 'OmletCoop', [coopAccessory]);
+  // auth recovery
+  
+  // Accessories show No Response while auth is down. Login is retried on a growing interval, and
+  // a new token or password saved to the config or token file is tried as soon as it appears.
+  markAuthFailed(reason) {
+    if (this.authFailedPermanently) {
+      return;
     }
+    
+    this.authFailedPermanently = true;
+    this.log.error(`[Auth] ${reason}. Doors will show "No Response" until authentication recovers; fix the credentials in the plugin settings or wait for the next login attempt.`);
+    this.watchCredentialFiles();
+    this.scheduleAuthRecovery();
   }
   
-  configureAccessory(accessory) {
-    this.log.info('Loading accessory from cache:', accessory.displayName);
-    this.accessories.push(accessory);
+  scheduleAuthRecovery() {
+    if (this.authRecoveryTimer) {
+      return;
+    }
+    if (!this.email || !this.password) {
+      this.log.warn('[Auth] No email/password to log in with, waiting for a new API token in the plugin settings');
+      return;
+    }
+    
+    const delay = this.authRecoveryDelay;
+    this.authRecoveryDelay = Math.min(AUTH_RECOVERY_MAX, delay * 2);
+    const minutes = Math.round(delay / 60000);
+    this.log.warn(`[Auth] Next login attempt in ${minutes} minute${minutes === 1 ? '' : 's'}`);
+    this.authRecoveryTimer = setTimeout(() => {
+      this.authRecoveryTimer = null;
+      this.attemptAuthRecovery('scheduled retry', false);
+    }, delay);
   }
   
-  getCurrentToken() {
-    return this.currentToken;
-  }
-}
-
-// Combined accessory with linked services
-class OmletCoopAccessory {
-  constructor(platform, accessory) {
-    this.platform = platform;
-    this.accessory = accessory;
-    this.log = platform.log;
-    
-    this.deviceId = platform.deviceId;
-    this.baseUrl = platform.baseUrl;
-    this.pollInterval = platform.pollInterval;
-    this.enableLight = platform.enableLight;
-    this.enableBattery = platform.enableBattery;
-    this.debug = platform.debug;
+  async attemptAuthRecovery(trigger, tokenChanged) {
+    if (this.authRecovering || !this.authFailedPermanently) {
+      return;
+    }
     
-    this.accessoryInfoUpdated = false;
-    this.cachedStatus = null;
+    this.authRecovering = true;
+    clearTimeout(this.authRecoveryTimer);
+    this.authRecoveryTimer = null;
+    this.log.info(`[Auth] Trying to authenticate again (${trigger})`);
     
-    // services need to be removed before re-adding, otherwise stale ones persist in cache
-    if (!this.enableLight) {
-      const existingLight = this.accessory.getService(hap.Service.Lightbulb);
-      if (existingLight) {
-        this.log.warn('Light disabled in config, removing light service...');
-        this.accessory.removeService(existingLight);
+    try {
+      let authenticated = false;
+      
+      // a new token is worth trying before logging in for another one
+      if (tokenChanged && this.currentToken) {
+        try {
+          await this.client.getGroups('Auth');
+          authenticated = true;
+        } catch (error) {
+          this.log.warn('[Auth] New API token was rejected:', error.message);
+        }
+      }
+      
+      if (!authenticated) {
+        if (!this.email || !this.password) {
+          throw new Error('no working API token and no email/password to log in with');
+        }
+        await this.login();
       }
+      
+      await this.authRecovered();
+    } catch (error) {
+      this.log.error('[Auth] Still unable to authenticate:', error.message);
+      this.scheduleAuthRecovery();
+    } finally {
+      this.authRecovering = false;
     }
+  }
+  
+  async authRecovered() {
+    this.stopAuthRecovery();
+    this.authFailedPermanently = false;
+    this.reloginAttempts = 0;
+    this.authRecoveryDelay = AUTH_RECOVERY_MIN;
+    this.log.info('[Auth] Authentication recovered');
     
-    if (!this.enableBattery) {
-      const existingBattery = this.accessory.getService(hap.Service.Battery);
-      if (existingBattery) {
-        this.log.warn('Battery disabled in config, removing battery service...');
-        this.accessory.removeService(existingBattery);
-      }
+    // doors only come from discovery when startup never got that far
+    if (this.coopAccessories.size === 0) {
+      await this.discoverDevices();
+      return;
     }
     
-    // serial and firmware get updated after the first successful poll
-    this.accessory.getService(hap.Service.AccessoryInformation)
-      .setCharacteristic(hap.Characteristic.Manufacturer, 'Omlet')
-      .setCharacteristic(hap.Characteristic.Model, 'Smart Autodoor')
-      .setCharacteristic(hap.Characteristic.SerialNumber, this.deviceId)
-      .setCharacteristic(hap.Characteristic.FirmwareRevision, '0.0.0');
+    this.startPolling();
+    try {
+      await this.pollAllDevices();
+    } catch (error) {
+      // the poll schedule keeps trying
+    }
+  }
+  
+  stopAuthRecovery() {
+    clearTimeout(this.authRecoveryTimer);
+    this.authRecoveryTimer = null;
+    this.watchedCredentialFiles.forEach(file => fs.unwatchFile(file));
+    this.watchedCredentialFiles = [];
+  }
+  
+  // fs.watchFile polls, so it survives editors and the UI replacing the file instead of writing it
+  watchCredentialFiles() {
+    if (this.watchedCredentialFiles.length > 0) {
+      return;
+    }
     
-    this.doorService = this.accessory.getService(hap.Service.GarageDoorOpener) 
-      || this.accessory.addService(hap.Service.GarageDoorOpener);
+    const watch = (file, onChange) => {
+      fs.watchFile(file, { interval: CREDENTIALS_WATCH_INTERVAL }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          onChange();
+        }
+      });
+      this.watchedCredentialFiles.push(file);
+    };
     
-    this.doorService.setCharacteristic(hap.Characteristic.Name, 'Coop Door');
-    this.doorService.setPrimaryService(true);
+    watch(this.tokenStore.file, () => this.reloadStoredToken());
+    watch(this.api.user.configPath(), () => this.reloadConfigCredentials());
+  }
+  
+  async reloadStoredToken() {
+    const previousToken = this.bearerToken;
+    await this.loadStoredCredentials();
+    if (this.bearerToken && this.bearerToken !== previousToken) {
+      this.currentToken = this.bearerToken;
+      await this.attemptAuthRecovery('new API token in token file', true);
+    }
+  }
+  
+  // picks up credentials saved from the plugin settings without waiting for a restart
+  async reloadConfigCredentials() {
+    let platformConfig;
+    try {
+      const config = JSON.parse(fs.readFileSync(this.api.user.configPath(), 'utf8'));
+      platformConfig = (config.platforms || []).find(entry => entry.platform === this.config.platform
+        && (!this.config.name || entry.name === this.config.name));
+    } catch (error) {
+      this.log.error('[Auth] Failed to read config file:', error.message);
+      return;
+    }
+    if (!platformConfig) {
+      return;
+    }
     
-    this.doorService
-      .getCharacteristic(hap.Characteristic.CurrentDoorState)
-      .onGet(this.getCurrentDoorState.bind(this));
+    const email = this.validateEmail(platformConfig.email);
+    const password = platformConfig.password;
+    const countryCode = this.validateCountryCode(platformConfig.countryCode);
+    const token = this.validateToken(platformConfig.bearerToken, 'bearerToken');
     
-    this.doorService
-      .getCharacteristic(hap.Characteristic.TargetDoorState)
-      .onGet(this.getTargetDoorState.bind(this))
-      .onSet(this.setTargetDoorState.bind(this));
+    const credentialsChanged = email !== this.email || password !== this.password || countryCode !== this.countryCode;
+    const tokenChanged = !!token && token !== this.currentToken;
+    if (!credentialsChanged && !tokenChanged) {
+      return;
+    }
     
-    this.doorService
-      .getCharacteristic(hap.Characteristic.ObstructionDetected)
-      .onGet(() => false);
+    this.email = email;
+    this.password = password;
+    this.countryCode = countryCode;
+    if (tokenChanged) {
+      this.bearerToken = token;
+      this.currentToken = token;
+    }
+    await this.attemptAuthRecovery('credentials changed in config', tokenChanged);
+  }
+  
+  async discoverDevices() {
+    this.log.info('Discovering devices on your account...');
     
-    // light and battery are linked to the door as the primary service
-    if (this.enableLight) {
-      this.lightService = this.accessory.getService(hap.Service.Lightbulb) 
-        || this.accessory.addService(hap.Service.Lightbulb);
-      
-      this.lightService.setCharacteristic(hap.Characteristic.Name, 'Coop Light');
-      
-      this.lightService
-        .getCharacteristic(hap.Characteristic.On)
-        .onGet(this.getLightOn.bind(this))
-        .onSet(this.setLightOn.bind(this));
-      
-      this.doorService.addLinkedService(this.lightService);
+    let devices;
+    try {
+      devices = await this.discoverAllDevices();
+    } catch (error) {
+      // keep cached doors working rather than dropping them on a failed discovery
+      this.log.error('Device discovery failed:', error.message);
+      this.restoreCachedDevices();
+      return;
     }
     
-    if (this.enableBattery) {
-      this.batteryService = this.accessory.getService(hap.Service.Battery)
-        || this.accessory.addService(hap.Service.Battery);
-      
-      this.batteryService.setCharacteristic(hap.Characteristic.Name, 'Battery');
-      
-      this.batteryService
-        .getCharacteristic(hap.Characteristic.BatteryLevel)
-        .onGet(this.getBatteryLevel.bind(this));
-      
-      this.batteryService
-        .getCharacteristic(hap.Characteristic.ChargingState)
-        .onGet(this.getChargingState.bind(this));
-      
-      this.batteryService
-        .getCharacteristic(hap.Characteristic.StatusLowBattery)
-        .onGet(this.getStatusLowBattery.bind(this));
-      
-      this.doorService.addLinkedService(this.batteryService);
+    if (devices.length === 0) {
+      // an empty account is more likely a cloud hiccup than every door being removed
+      this.log.error('No coop doors found! Please ensure your coop door is connected to your Omlet account and try again.');
+      this.restoreCachedDevices();
+      return;
     }
     
-    const services = ['door'];
-    if (this.enableLight) services.push('light');
-    if (this.enableBattery) services.push('battery');
-    this.log.info(`Coop accessory initialized with ${services.join(', ')} service${services.length > 1 ? 's' : ''}`);
+    const selected = devices.filter(device => this.isDeviceSelected(device.deviceId));
+    
+    if (selected.length === 0) {
+      this.log.warn('No coop doors match the configured Device IDs:');
+      devices.forEach(device => {
+        this.log.warn(`  ${device.name} (${device.deviceId})`);
+      });
+    }
+    
+    this.log.info('Setting up Homebridge accessories...');
+    
+    const activeUuids = new Set();
+    selected.forEach(device => {
+      activeUuids.add(this.setupAccessory(device));
+    });
+    
+    // doors removed from the account (or filtered out) shouldn't linger in HomeKit
+    const staleAccessories = this.accessories.filter(accessory => !activeUuids.has(accessory.UUID));
+    if (staleAccessories.length > 0) {
+      staleAccessories.forEach(accessory => {
+        this.log.info('Removing accessory no longer on account:', accessory.displayName);
+      });
+      this.api.unregisterPlatformAccessories('homebridge-omlet', 'OmletCoop', staleAccessories);
+      this.accessories = this.accessories.filter(accessory => activeUuids.has(accessory.UUID));
+    }
     
     this.startPolling();
+    this.startSunSchedule();
   }
   
-  // light
-  
-  async getLightOn() {
-    try {
-      if (!this.cachedStatus) {
-        await this.pollDeviceState();
-      }
-      const lightState = this.cachedStatus?.state?.light?.state;
-      if (!lightState) {
-        throw new Error('Invalid API response: missing light state');
-      }
-      return (lightState === 'on' || lightState === 'onpending');
-    } catch (error) {
-      this.log.error('[Light] Failed to get light state:', error.message);
-      throw new Error('Failed to get light state');
+  isDeviceSelected(deviceId) {
+    if (this.deviceIds.length === 0) {
+      return true;
     }
+    
+    const listed = this.deviceIds.includes(deviceId);
+    return (this.deviceFilterMode === 'exclude') ? !listed : listed;
   }
   
-  async setLightOn(value) {
-    const action = value ? 'on' : 'off';
+  setupAccessory(device) {
+    const uuid = this.api.hap.uuid.generate('omlet-coop-' + device.deviceId);
+    const existingAccessory = this.accessories.find(accessory => accessory.UUID === uuid);
     
-    try {
-      await this.sendAction(action, 'Light');
-      this.log.info('[Light]', action === 'on' ? 'Turning on light' : 'Turning off light');
-      
-      // re-poll after 15s to confirm the light actually switched
-      setTimeout(async () => {
-        try {
-          await this.pollDeviceState();
-          this.pushStateToHomeKit();
-        } catch (error) {
-          if (this.debug) {
-            this.log.warn('[Light] Eager re-poll failed:', error.message);
-          }
-        }
-      }, 15000);
-      
-    } catch (error) {
-      this.log.error('[Light] Failed to set light state:', error.message);
-      
-      if (error.statusCode === 401 || error.statusCode === 403) {
-        const refreshed = await this.platform.handleAuthError();
-        if (refreshed) {
-          try {
-            await this.sendAction(action, 'Light');
-            this.log.info('[Light]', action === 'on' ? 'Turning on light' : 'Turning off light', '(after token refresh)');
-            return;
-          } catch (retryError) {
-            this.log.error('[Light] Retry after token refresh also failed');
-          }
-        }
+    if (existingAccessory) {
+      this.log.info('Restoring existing accessory from cache:', existingAccessory.displayName);
+      if (existingAccessory.context.name !== device.name) {
+        this.renameAccessory(existingAccessory, device.name);
       }
-      
-      throw new Error('Failed to set light state');
+      existingAccessory.context.deviceId = device.deviceId;
+      existingAccessory.context.name = device.name;
+      this.coopAccessories.set(device.deviceId, new OmletCoopAccessory(this, existingAccessory));
+      this.api.updatePlatformAccessories([existingAccessory]);
+    } else {
+      this.log.info('Adding new accessory:', device.name, `(${device.deviceId})`);
+      const coopAccessory = new this.api.platformAccessory(device.name, uuid);
+      coopAccessory.context.deviceId = device.deviceId;
+      coopAccessory.context.name = device.name;
+      this.coopAccessories.set(device.deviceId, new OmletCoopAccessory(this, coopAccessory));
+      this.api.registerPlatformAccessories('homebridge-omlet', 'OmletCoop', [coopAccessory]);
+      this.accessories.push(coopAccessory);
     }
+    
+    return uuid;
   }
   
-  // battery
+  // accessories cached by older versions are all called "Omlet Coop"; doors renamed in the Omlet
+  // app follow too
+  renameAccessory(accessory, name) {
+    this.log.info(`Renaming accessory ${accessory.displayName} to ${name}`);
+    accessory.displayName = name;
+    accessory.getService(hap.Service.AccessoryInformation).setCharacteristic(hap.Characteristic.Name, name);
+  }
   
-  async getBatteryLevel() {
-    try {
-      if (!this.cachedStatus) {
-        await this.pollDeviceState();
+  restoreCachedDevices() {
+    // accessories cached by older versions only carry the UUID made from their Device ID
+    this.accessories.filter(accessory => !accessory.context.deviceId).forEach(accessory => {
+      const deviceId = this.deviceIds.find(id => this.api.hap.uuid.generate('omlet-coop-' + id) === accessory.UUID);
+      if (deviceId) {
+        accessory.context.deviceId = deviceId;
       }
-      const batteryLevel = this.cachedStatus?.state?.general?.batteryLevel;
-      if (batteryLevel === undefined || batteryLevel === null) {
-        throw new Error('Invalid API response: missing battery level');
-      }
-      return batteryLevel;
-    } catch (error) {
-      this.log.error('[Battery] Failed to get battery level:', error.message);
-      throw new Error('Failed to get battery level');
+    });
+    
+    const restorable = this.accessories.filter(accessory => 
+      accessory.context.deviceId && this.isDeviceSelected(accessory.context.deviceId));
+    
+    if (restorable.length === 0) {
+      return;
     }
+    
+    this.log.warn(`Restoring ${restorable.length} cached accessor${restorable.length === 1 ? 'y' : 'ies'} without discovery`);
+    restorable.forEach(accessory => {
+      this.coopAccessories.set(accessory.context.deviceId, new OmletCoopAccessory(this, accessory));
+    });
+    
+    this.startPolling();
+    this.startSunSchedule();
   }
   
-  getChargingState() {
-    // Omlet autodoor uses AA batteries - not rechargeable, always NOT_CHARGEABLE
-    return 2;
+  configureAccessory(accessory) {
+    this.log.info('Loading accessory from cache:', accessory.displayName);
+    this.accessories.push(accessory);
   }
   
-  async getStatusLowBattery() {
-    try {
-      if (!this.cachedStatus) {
-        await this.pollDeviceState();
-      }
-      const batteryLevel = this.cachedStatus?.state?.general?.batteryLevel;
-      if (batteryLevel === undefined || batteryLevel === null) {
-        throw new Error('Invalid API response: missing battery level');
-      }
-      return (batteryLevel < 20) ? 1 : 0;
-    } catch (error) {
-      this.log.error('[Battery] Failed to get low battery status:', error.message);
-      throw new Error('Failed to get low battery status');
-    }
+  getCurrentToken() {
+    return this.currentToken;
   }
   
-  sendAction(action, context = 'Action') {
-    return new Promise((resolve, reject) => {
-      const postData = JSON.stringify({});
-      const token = this.platform.getCurrentToken();
-      
-      if (!token) {
-        reject(new Error('No auth token available'));
-        return;
-      }
-      
-      const options = {
-        hostname: this.baseUrl,
-        port: 443,
-        path: `/api/v1/device/${this.deviceId}/action/${action}`,
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json',
-          'Content-Length': postData.length,
-          'Accept': 'application/json'
-        },
-        timeout: 10000
-      };
-      
-      if (this.debug) {
-        this.log.info(`[${context}] POST`, options.path);
-      }
-      
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
+  // polling
+  
+  // concurrent callers share one in-flight request, so a burst of onGet calls costs one API call
+  pollAllDevices() {
+    if (!this.pollInFlight) {
+      this.pollInFlight = this.fetchAllDeviceStates()
+        .finally(() => {
+          this.pollInFlight = null;
         });
-        
-        res.on('end', () => {
-          if (this.debug) {
-            this.log.info(`[${context}] Response status:`, res.statusCode);
-            if (data) {
-              this.log.info(`[${context}] Response body:`, data);
-            }
-          }
-          
-          if (res.statusCode === 200 || res.statusCode === 204) {
-            resolve();
-          } else {
-            this.log.error(`[${context}] HTTP Error`, res.statusCode, data || '');
-            const error = new Error(`HTTP ${res.statusCode}`);
-            error.statusCode = res.statusCode;
-            error.response = data;
-            reject(error);
-          }
-        });
-      });
-      
-      req.on('timeout', () => {
-        req.destroy();
-        this.log.error(`[${context}] Request timeout after 10 seconds`);
-        reject(new Error('Request timeout'));
-      });
-      
-      req.on('error', (error) => {
-        this.log.error(`[${context}] Network error:`, error.message);
-        reject(error);
-      });
-      
-      req.write(postData);
-      req.end();
-    });
+    }
+    return this.pollInFlight;
   }
   
-  getDeviceStatus(context = 'Status') {
-    return new Promise((resolve, reject) => {
-      const token = this.platform.getCurrentToken();
-      
-      if (!token) {
-        reject(new Error('No auth token available'));
+  async fetchAllDeviceStates() {
+    // nothing to ask the cloud until auth recovers; doors show No Response meanwhile
+    if (this.authFailedPermanently) {
+      this.coopAccessories.forEach(coopAccessory => coopAccessory.pollFailed());
+      throw new Error('Not authenticated with Omlet');
+    }
+    
+    let groups;
+    try {
+      groups = await this.client.getGroups('Poll');
+    } catch (error) {
+      this.recordPollFailure(error);
+      this.coopAccessories.forEach(coopAccessory => coopAccessory.pollFailed());
+      throw error;
+    }
+    this.recordPollSuccess();
+    
+    const statuses = new Map();
+    groups.forEach(group => {
+      (group.devices || []).forEach(device => {
+        statuses.set(device.deviceId, device);
+      });
+    });
+    
+    this.coopAccessories.forEach((coopAccessory, deviceId) => {
+      const status = statuses.get(deviceId);
+      if (!status) {
+        coopAccessory.log.warn('[Poll] Device missing from account status');
+        coopAccessory.pollFailed();
         return;
       }
-      
-      const options = {
-        hostname: this.baseUrl,
-        port: 443,
-        path: `/api/v1/device/${this.deviceId}`,
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Accept': 'application/json'
-        },
-        timeout: 10000
-      };
-      
-      if (this.debug) {
-        this.log.info(`[${context}] GET`, options.path);
+      if (coopAccessory.updateStatus(status)) {
+        this.lastStateChange = Date.now();
       }
-
-      const req = https.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          if (this.debug) {
-            this.log.info(`[${context}] Response status:`, res.statusCode);
-          }
-          
-          if (res.statusCode === 200) {
-            try {
-              const json = JSON.parse(data);
-              if (this.debug) {
-                this.log.info(`[${context}] Full response:`, JSON.stringify(json, null, 2));
-              }
-              resolve(json);
-            } catch (error) {
-              this.log.error(`[${context}] Failed to parse JSON:`, error.message);
-              this.log.error(`[${context}] Response was:`, data);
-              reject(new Error('Failed to parse JSON response'));
-            }
-          } else {
-            if (this.debug || res.statusCode === 401 || res.statusCode === 403) {
-              this.log.error(`[${context}] HTTP Error`, res.statusCode);
-              this.log.error(`[${context}] Response:`, data);
-            }
-            const error = new Error(`HTTP ${res.statusCode}`);
-            error.statusCode = res.statusCode;
-            error.response = data;
-            reject(error);
-          }
-        });
-      });
-      
-      req.on('timeout', () => {
-        req.destroy();
-        this.log.error(`[${context}] Request timeout after 10 seconds`);
-        reject(new Error('Request timeout'));
-      });
-      
-      req.on('error', (error) => {
-        this.log.error(`[${context}] Network error:`, error.message);
-        reject(error);
-      });
-      
-      req.end();
+      coopAccessory.pushStateToHomeKit();
     });
+    
+    this.saveStatusSnapshot(statuses);
+    
+    return statuses;
   }
   
-  // door
-  
-  async getCurrentDoorState() {
-    try {
-      if (!this.cachedStatus) {
-        await this.pollDeviceState();
-      }
-      const doorState = this.cachedStatus?.state?.door?.state;
-      if (!doorState) {
-        throw new Error('Invalid API response: missing door state');
+  // Circuit breaker: once CIRCUIT_FAILURE_THRESHOLD polls in a row fail, per-poll errors stop and
+  // polls become probes, spaced further apart each time one fails, until one gets through.
+  recordPollFailure(error) {
+    this.pollFailures++;
+    
+    if (this.circuitOpenedAt) {
+      this.circuitDelay = Math.min(CIRCUIT_PROBE_MAX, this.circuitDelay * 2);
+      if (this.debug) {
+        this.log.warn(`[Poll] Omlet cloud still unavailable (${error.message}), next try in ${this.circuitDelay / 60000} minutes`);
       }
-      const stateMap = {
-        'open': hap.Characteristic.CurrentDoorState.OPEN,
-        'closed': hap.Characteristic.CurrentDoorState.CLOSED,
-        'opening': hap.Characteristic.CurrentDoorState.OPENING,
-        'closing': hap.Characteristic.CurrentDoorState.CLOSING,
-        'stopping': hap.Characteristic.CurrentDoorState.STOPPED
-      };
-      return stateMap[doorState] ?? hap.Characteristic.CurrentDoorState.STOPPED;
-    } catch (error) {
-      this.log.error('[Door] Failed to get door state:', error.message);
-      throw new Error('Failed to get door state');
+      return;
+    }
+    
+    this.log.error('[Poll] Failed to get device status:', error.message);
+    if (this.pollFailures >= CIRCUIT_FAILURE_THRESHOLD) {
+      this.circuitOpenedAt = Date.now();
+      this.circuitDelay = CIRCUIT_PROBE_MIN;
+      this.log.error(`[Poll] Omlet cloud unavailable after ${this.pollFailures} failed polls (${error.message}), pausing polling and checking back every few minutes`);
     }
   }
   
-  async getTargetDoorState() {
-    try {
-      if (!this.cachedStatus) {
-        await this.pollDeviceState();
-      }
-      const doorState = this.cachedStatus?.state?.door?.state;
-      if (doorState === 'open' || doorState === 'opening') {
-        return hap.Characteristic.TargetDoorState.OPEN;
-      }
-      return hap.Characteristic.TargetDoorState.CLOSED;
-    } catch (error) {
-      this.log.error('[Door] Failed to get target door state:', error.message);
-      throw new Error('Failed to get target door state');
+  recordPollSuccess() {
+    if (this.circuitOpenedAt) {
+      const minutes = Math.round((Date.now() - this.circuitOpenedAt) / 60000);
+      this.log.info(`[Poll] Omlet cloud reachable again after ${minutes} minute${minutes === 1 ? '' : 's'}, resuming normal polling`);
+      this.circuitOpenedAt = null;
     }
+    this.pollFailures = 0;
   }
   
-  async setTargetDoorState(value) {
-    const action = (value === hap.Characteristic.TargetDoorState.OPEN) ? 'open' : 'close';
+  // Poll scheduling is a small state machine:
+  //   fast  - a door/light is moving or a command is waiting for confirmation
+  //   idle  - the configured pollInterval
+  //   night - optional slower interval during night hours while nothing changes
+  selectPollMode() {
+    const coops = [...this.coopAccessories.values()];
+    const active = coops.some(coop => coop.isInTransition() || coop.hasPendingCommand());
     
-    try {
-      await this.sendAction(action, 'Door');
-      this.log.info('[Door]', action === 'open' ? 'Opening door' : 'Closing door');
-      
-      const newCurrentState = (action === 'open') 
-        ? hap.Characteristic.CurrentDoorState.OPENING
-        : hap.Characteristic.CurrentDoorState.CLOSING;
-      
-      this.doorService
-        .getCharacteristic(hap.Characteristic.CurrentDoorState)
-        .updateValue(newCurrentState);
-      
-      // re-poll after 15s to confirm the door actually moved
-      setTimeout(async () => {
-        try {
-          await this.pollDeviceState();
-          this.pushStateToHomeKit();
-        } catch (error) {
-          if (this.debug) {
-            this.log.warn('[Door] Eager re-poll failed:', error.message);
-          }
-        }
-      }, 15000);
-        
-    } catch (error) {
-      this.log.error('[Door] Failed to set door state:', error.message);
-      
-      if (error.statusCode === 401 || error.statusCode === 403) {
-        const refreshed = await this.platform.handleAuthError();
-        if (refreshed) {
-          try {
-            await this.sendAction(action, 'Door');
-            this.log.info('[Door]', action === 'open' ? 'Opening door' : 'Closing door', '(after token refresh)');
-            
-            const newCurrentState = (action === 'open') 
-              ? hap.Characteristic.CurrentDoorState.OPENING
-              : hap.Characteristic.CurrentDoorState.CLOSING;
-            
-            this.doorService
-              .getCharacteristic(hap.Characteristic.CurrentDoorState)
-              .updateValue(newCurrentState);
-            
-            return;
-          } catch (retryError) {
-            this.log.error('[Door] Retry after token refresh also failed');
-          }
-        }
-      }
-      
-      throw new Error('Failed to set door state');
+    if (!active) {
+      this.fastPollCount = 0;
+    } else if (this.fastPollCount < MAX_FAST_POLLS) {
+      this.fastPollCount++;
+      return 'fast';
+    } else if (this.fastPollCount === MAX_FAST_POLLS) {
+      this.fastPollCount++;
+      this.log.warn(`[Poll] Still waiting for a door to settle after ${MAX_FAST_POLLS} fast polls, returning to normal interval`);
+    }
+    
+    if (this.nightPollInterval && this.isNightTime() &&
+        Date.now() - this.lastStateChange >= this.nightPollInterval) {
+      return 'night';
     }
+    
+    return 'idle';
   }
   
-  // polling
+  isNightTime() {
+    const now = new Date();
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    
+    // the night window usually wraps past midnight
+    if (this.nightStart > this.nightEnd) {
+      return minutes >= this.nightStart || minutes < this.nightEnd;
+    }
+    return minutes >= this.nightStart && minutes < this.nightEnd;
+  }
   
-  async pollDeviceState() {
-    try {
-      const status = await this.getDeviceStatus('Poll');
-      this.cachedStatus = status;
-
-      // update serial and firmware from the first real response
-      if (!this.accessoryInfoUpdated) {
-        const deviceSerial = status.deviceSerial || this.deviceId;
-        const firmware = status.state?.general?.firmwareVersionCurrent || '0.0.0';
-        this.accessory.getService(hap.Service.AccessoryInformation)
-          .setCharacteristic(hap.Characteristic.SerialNumber, deviceSerial)
-          .setCharacteristic(hap.Characteristic.FirmwareRevision, firmware);
-        if (this.debug) {
-          this.log.info('[Info] Updated accessory info: Serial=' + deviceSerial + ', Firmware=' + firmware);
-        }
-        this.accessoryInfoUpdated = true;
-      }
-
-      return status;
-    } catch (error) {
-      if (error.statusCode === 401 || error.statusCode === 403) {
-        const refreshed = await this.platform.handleAuthError();
-        if (refreshed) {
-          try {
-            const status = await this.getDeviceStatus('Poll');
-            this.cachedStatus = status;
-            return status;
-          } catch (retryError) {
-            this.log.error('[Poll] Retry after token refresh failed:', retryError.message);
-            throw retryError;
-          }
-        }
+  getPollDelay(mode) {
+    if (mode === 'fast') {
+      return this.fastPollInterval;
+    }
+    if (mode === 'night') {
+      return this.nightPollInterval;
+    }
+    return this.pollInterval;
+  }
+  
+  scheduleNextPoll() {
+    if (!this.pollingActive) {
+      return;
+    }
+    
+    const mode = this.selectPollMode();
+    if (mode !== this.pollMode) {
+      if (this.debug) {
+        this.log.info(`[Poll] Switching from ${this.pollMode} to ${mode} polling (every ${this.getPollDelay(mode) / 1000} seconds)`);
       }
-      this.log.error('[Poll] Failed to get device status:', error.message);
-      throw error;
+      this.pollMode = mode;
     }
+    
+    const delay = this.circuitOpenedAt ? this.circuitDelay : this.getPollDelay(mode);
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.runPollCycle(), delay);
   }
-
-  pushStateToHomeKit() {
+  
+  async runPollCycle() {
+    this.pollTimer = null;
     try {
-      const status = this.cachedStatus;
-      if (!status) return;
-
-      // Door state
-      const doorState = status.state?.door?.state;
-      if (doorState) {
-        const stateMap = {
-          'open': hap.Characteristic.CurrentDoorState.OPEN,
-          'closed': hap.Characteristic.CurrentDoorState.CLOSED,
-          'opening': hap.Characteristic.CurrentDoorState.OPENING,
-          'closing': hap.Characteristic.CurrentDoorState.CLOSING,
-          'stopping': hap.Characteristic.CurrentDoorState.STOPPED
-        };
-        const currentState = stateMap[doorState] ?? hap.Characteristic.CurrentDoorState.STOPPED;
-        this.doorService.getCharacteristic(hap.Characteristic.CurrentDoorState).updateValue(currentState);
-
-        const targetState = (doorState === 'open' || doorState === 'opening')
-          ? hap.Characteristic.TargetDoorState.OPEN
-          : hap.Characteristic.TargetDoorState.CLOSED;
-        this.doorService.getCharacteristic(hap.Characteristic.TargetDoorState).updateValue(targetState);
-
-        if (this.debug) {
-          this.log.info('[Poll] Door:', doorState, '-> HomeKit:', currentState);
-        }
-      }
-
-      // Light state
-      if (this.enableLight && this.lightService) {
-        const lightState = status.state?.light?.state;
-        if (lightState !== undefined) {
-          const isOn = (lightState === 'on' || lightState === 'onpending');
-          this.lightService.getCharacteristic(hap.Characteristic.On).updateValue(isOn);
-          if (this.debug) {
-            this.log.info('[Poll] Light:', lightState, '-> isOn:', isOn);
-          }
-        }
-      }
-
-      // Battery state
-      if (this.enableBattery && this.batteryService) {
-        const batteryLevel = status.state?.general?.batteryLevel;
-        if (batteryLevel !== undefined && batteryLevel !== null) {
-          this.batteryService.getCharacteristic(hap.Characteristic.BatteryLevel).updateValue(batteryLevel);
-          this.batteryService.getCharacteristic(hap.Characteristic.ChargingState).updateValue(2); // NOT_CHARGEABLE
-          const isLow = (batteryLevel < 20) ? 1 : 0;
-          this.batteryService.getCharacteristic(hap.Characteristic.StatusLowBattery).updateValue(isLow);
-          if (this.debug) {
-            this.log.info('[Poll] Battery:', batteryLevel + '%, low:', isLow);
-          }
-        }
-      }
+      await this.pollAllDevices();
     } catch (error) {
-      this.log.error('[Poll] Failed to push state to HomeKit:', error.message);
+      if (this.debug) {
+        this.log.warn('[Poll] Poll cycle failed:', error.message);
+      }
     }
+    this.scheduleNextPoll();
   }
-
+  
+  // called after user commands so the result shows up within seconds
+  requestFastPolling() {
+    this.fastPollCount = 0;
+    
+    // only cut the wait short; a running poll cycle reschedules itself when it finishes
+    if (this.pollTimer && this.pollMode !== 'fast') {
+      clearTimeout(this.pollTimer);
+      this.pollMode = 'fast';
+      this.pollTimer = setTimeout(() => this.runPollCycle(), this.fastPollInterval);
+    }
+  }
+  
   stopPolling() {
+    this.pollingActive = false;
     if (this.pollTimer) {
-      clearInterval(this.pollTimer);
+      clearTimeout(this.pollTimer);
       this.pollTimer = null;
     }
   }
-
+  
   startPolling() {
+    if (this.coopAccessories.size === 0 || this.pollingActive) {
+      return;
+    }
+    
+    this.pollingActive = true;
+    
     (async () => {
       try {
-        await this.pollDeviceState();
-        this.pushStateToHomeKit();
+        await this.pollAllDevices();
       } catch (error) {
         this.log.error('[Poll] First poll failed, will retry on next interval');
       }
+      this.scheduleNextPoll();
     })();
-
-    this.pollTimer = setInterval(async () => {
-      try {
-        await this.pollDeviceState();
-        this.pushStateToHomeKit();
-      } catch (error) {
-        if (this.debug) {
-          this.log.warn('[Poll] Poll cycle failed:', error.message);
-        }
+    
+    const count = this.coopAccessories.size;
+    const extras = [`${this.fastPollInterval / 1000} seconds while moving`];
+    if (this.nightPollInterval) {
+      extras.push(`${this.nightPollInterval / 1000} seconds at night`);
+    }
+    this.log.info(`Polling started for ${count} coop door${count > 1 ? 's' : ''}: every ${this.pollInterval / 1000} seconds (${extras.join(', ')})`);
+  }
+  
+  // sun schedule
+  
+  // the event time for one action on the day containing `date`, with its offset applied
+  getSunActionTime(action, date) {
+    const { event, offset } = this.sunSchedule[action];
+    const time = getSunEventTime(event, date, this.sunSchedule.latitude, this.sunSchedule.longitude);
+    return time ? new Date(time.getTime() + offset * 60 * 1000) : null;
+  }
+  
+  // the first event after `from` (direction 1) or the last one at or before it (direction -1),
+  // searching up to a week ahead since polar latitudes can go days without one
+  findSunActionTime(action, from, direction) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const midday = new Date(from);
+    midday.setHours(12, 0, 0, 0);
+    
+    const times = [];
+    for (let day = -1; day <= 7; day++) {
+      const time = this.getSunActionTime(action, new Date(midday.getTime() + direction * day * dayMs));
+      if (time && (direction > 0 ? time > from : time <= from)) {
+        times.push(time);
+      }
+    }
+    
+    if (times.length === 0) {
+      return null;
+    }
+    return times.reduce((best, time) => (direction > 0 ? time < best : time > best) ? time : best);
+  }
+  
+  describeSunAction(action) {
+    const { event, offset } = this.sunSchedule[action];
+    if (offset === 0) {
+      return `at ${event}`;
+    }
+    return `${Math.abs(offset)} min ${offset > 0 ? 'after' : 'before'} ${event}`;
+  }
+  
+  startSunSchedule() {
+    if (!this.sunSchedule || this.sunTimer !== undefined || this.coopAccessories.size === 0) {
+      return;
+    }
+    
+    const now = new Date();
+    const saved = this.stateStore.account(this.email).sunSchedule || {};
+    
+    // Catch up on the most recent event if it fell while Homebridge was down and the
+    // scheduler had been waiting for it. Older missed events no longer matter.
+    const missed = ['open', 'close']
+      .map(action => ({ action, time: this.findSunActionTime(action, now, -1) }))
+      .filter(({ action, time }) => {
+        const entry = saved[action];
+        return time && entry?.nextRun && new Date(entry.nextRun) <= time &&
+          (!entry.lastRun || new Date(entry.lastRun) < time);
+      })
+      .sort((a, b) => b.time - a.time);
+    
+    this.sunScheduleState = {
+      open: { lastRun: saved.open?.lastRun || null },
+      close: { lastRun: saved.close?.lastRun || null }
+    };
+    
+    if (missed.length > 0) {
+      const { action, time } = missed[0];
+      this.log.warn(`[Sun] Missed ${action} at ${time.toLocaleString()} while Homebridge was down, running it now`);
+      this.runSunAction(action, time);
+    } else {
+      this.scheduleSunTimer();
+    }
+    
+    const next = ['open', 'close']
+      .map(action => {
+        // null during polar day or night; scheduleSunTimer keeps checking daily
+        const nextRun = this.sunScheduleState[action].nextRun;
+        return `${action} ${nextRun ? nextRun.toLocaleString() : 'none within a week'} (${this.describeSunAction(action)})`;
+      });
+    this.log.info(`[Sun] Schedule active, next: ${next.join(', ')}`);
+  }
+  
+  scheduleSunTimer() {
+    const now = new Date();
+    
+    ['open', 'close'].forEach(action => {
+      const entry = this.sunScheduleState[action];
+      const lastRun = entry.lastRun ? new Date(entry.lastRun) : null;
+      
+      // never schedule an event that already ran, even if the clock or offsets moved
+      let nextRun = this.findSunActionTime(action, now, 1);
+      if (nextRun && lastRun && nextRun <= lastRun) {
+        nextRun = this.findSunActionTime(action, new Date(lastRun.getTime() + 60 * 1000), 1);
       }
-    }, this.pollInterval);
+      entry.nextRun = nextRun;
+    });
+    
+    this.stateStore.account(this.email).sunSchedule = {
+      open: { nextRun: this.sunScheduleState.open.nextRun?.toISOString() || null, lastRun: this.sunScheduleState.open.lastRun },
+      close: { nextRun: this.sunScheduleState.close.nextRun?.toISOString() || null, lastRun: this.sunScheduleState.close.lastRun }
+    };
+    this.savePluginState();
+    
+    const upcoming = ['open', 'close']
+      .filter(action => this.sunScheduleState[action].nextRun)
+      .sort((a, b) => this.sunScheduleState[a].nextRun - this.sunScheduleState[b].nextRun)[0];
+    
+    clearTimeout(this.sunTimer);
+    if (!upcoming) {
+      this.log.warn('[Sun] No sunrise or sunset in the next week at this latitude, checking again tomorrow');
+      this.sunTimer = setTimeout(() => this.scheduleSunTimer(), 24 * 60 * 60 * 1000);
+      return;
+    }
+    
+    const time = this.sunScheduleState[upcoming].nextRun;
+    
+    // long timers drift and setTimeout caps at ~24.8 days, so re-check at least every 6 hours
+    const delay = time.getTime() - Date.now();
+    const maxDelay = 6 * 60 * 60 * 1000;
+    if (delay > maxDelay) {
+      this.sunTimer = setTimeout(() => this.scheduleSunTimer(), maxDelay);
+    } else {
+      this.sunTimer = setTimeout(() => this.runSunAction(upcoming, time), Math.max(0, delay));
+    }
+  }
+  
+  runSunAction(action, time) {
+    this.sunScheduleState[action].lastRun = time.toISOString();
+    this.scheduleSunTimer();
+    
+    this.log.info(`[Sun] ${action === 'open' ? 'Opening' : 'Closing'} doors (${this.describeSunAction(action)}), next ${action} ${this.sunScheduleState[action].nextRun?.toLocaleString() || 'unknown'}`);
+    
+    this.coopAccessories.forEach(coopAccessory => {
+      coopAccessory.commandDoor(action, 'Sun schedule').catch(error => {
+        // a lockdown refusal has already been logged
+        if (!(error instanceof hap.HapStatusError)) {
+          coopAccessory.log.error(`[Sun] Scheduled ${action} failed:`, error.message);
+        }
+      });
+    });
+  }
+  
+  stopSunSchedule() {
+    clearTimeout(this.sunTimer);
+    this.sunTimer = undefined;
+  }
+}
 
-    const services = ['door'];
-    if (this.enableLight) services.push('light');
-    if (this.enableBattery) services.push('battery');
-    this.log.info(`Polling started for ${services.join(', ')}: every ${this.pollInterval / 1000} seconds`);
+// Combined accessory with linked services
+class OmletCoopAccessory {
+  constructor(platform, accessory) {
+    this.platform = platform;
+    this.accessory = accessory;
+    this.log = prefixLogger(platform.log, accessory.displayName);
+    
+    this.deviceId = accessory.context.deviceId;
+    this.enableLight = platform.enableLight;
+    this.enableBattery = platform.enableBattery;
+    this.lowBatteryThreshold = platform.lowBatteryThreshold;
+    this.lowBatteryDays = platform.lowBatteryDays;
+    this.offlineAfter = platform.offlineAfter;
+    this.staleAfterPolls = platform.staleAfterPolls;
+    this.staleAfter = platform.staleAfter;
+    this.enableConnectivityCharacteristics = platform.enableConnectivityCharacteristics;
+    this.enableScheduleControls = platform.enableScheduleControls;
+    this.enableLightSensor = platform.enableLightSensor;
+    this.lightLevelScale = platform.lightLevelScale;
+    this.doorTravelTime = platform.doorTravelTime;
+    this.closeWatchdog = platform.closeWatchdog;
+    this.enableContactSensor = platform.enableContactSensor;
+    this.enableEveHistory = platform.enableEveHistory;
+    this.enableLockdown = platform.enableLockdown;
+    this.enableTimedOpen = platform.enableTimedOpen;
+    this.enableManualEvents = platform.enableManualEvents;
+    this.timedOpenDuration = platform.timedOpenDuration;
+    this.openTooLong = platform.openTooLong;
+    this.debug = platform.debug;
+    
+    this.accessoryInfoUpdated = false;
+    this.cachedStatus = null;
+    this.pendingCommands = {};
+    this.queuedCommands = {};
+    this.doorMovingSince = null;
+    this.obstruction = null;
+    this.activeFaults = { door: [], light: [] };
+    this.deviceConfiguration = null;
+    this.loggedUnknownValues = new Set();
+    this.watchdogAlert = false;
+    this.doorOpenSince = null;
+    this.openTooLongActive = false;
+    // this door's section of the saved plugin state
+    this.stored = platform.stateStore.device(this.deviceId);
+    this.lockdown = (this.enableLockdown && this.stored.lockdown) || null;
+    this.timedOpen = null;
+    this.lastDoorDestination = null;
+    this.lastConfirmedDoorTarget = null;
+    this.eveDoorStatus = null;
+    this.batteryTracking = { readings: [], ...this.stored.battery };
+    this.batteryLow = this.batteryTracking.low === true;
+    this.connectivity = null;
+    this.offlineReason = null;
+    this.lastPollAt = null;
+    this.failedPolls = 0;
+    this.staleReason = null;
+    this.snapshotPending = false;
+    this.connectivitySavedAt = 0;
+    
+    // services need to be removed before re-adding, otherwise stale ones persist in cache
+    if (!this.enableLight) {
+      const existingLight = this.accessory.getService(hap.Service.Lightbulb);
+      if (existingLight) {
+        this.log.warn('Light disabled in config, removing light service...');
+        this.accessory.removeService(existingLight);
+      }
+    }
+    
+    if (!this.enableBattery) {
+      const existingBattery = this.accessory.getService(hap.Service.Battery);
+      if (existingBattery) {
+        this.log.warn('Battery disabled in config, removing battery service...');
+        this.accessory.removeService(existingBattery);
+      }
+    }
+    
+    if (!this.enableLightSensor) {
+      const existingLightSensor = this.accessory.getService(hap.Service.LightSensor);
+      if (existingLightSensor) {
+        this.log.warn('Light sensor disabled in config, removing light sensor service...');
+        this.accessory.removeService(existingLightSensor);
+      }
+    }
+    
+    if (!this.enableScheduleControls) {
+      const existingSchedule = this.accessory.getServiceById(hap.Service.Switch, 'automatic-mode');
+      if (existingSchedule) {
+        this.log.warn('Schedule controls disabled in config, removing automatic mode switch...');
+        this.accessory.removeService(existingSchedule);
+      }
+    }
+    
+    if (!this.enableLockdown) {
+      const existingLockdown = this.accessory.getServiceById(hap.Service.Switch, 'lockdown');
+      if (existingLockdown) {
+        this.log.warn('Lockdown disabled in config, removing lockdown switch...');
+        this.accessory.removeService(existingLockdown);
+      }
+      // a lockdown left on when the feature was turned off must not come back by surprise later
+      if (this.stored.lockdown) {
+        delete this.stored.lockdown;
+        platform.savePluginState();
+      }
+    }
+    
+    if (!this.enableTimedOpen) {
+      const existingTimedOpen = this.accessory.getServiceById(hap.Service.Switch, 'timed-open');
+      if (existingTimedOpen) {
+        this.log.warn('Timed open disabled in config, removing timed open switch...');
+        this.accessory.removeService(existingTimedOpen);
+      }
+    }
+    
+    if (!this.enableManualEvents) {
+      const existingEvents = this.accessory.getServiceById(hap.Service.StatelessProgrammableSwitch, 'manual-operation');
+      if (existingEvents) {
+        this.log.warn('Manual operation events disabled in config, removing event switch...');
+        this.accessory.removeService(existingEvents);
+      }
+    }
+    
+    if (!this.enableEveHistory) {
+      // fakegato's exported class carries no UUID, so getService() can't find its service
+      const existingEveHistory = this.accessory.services.find(service => service.UUID === EVE_HISTORY_UUID);
+      if (existingEveHistory) {
+        this.log.warn('Eve history disabled in config, removing history service...');
+        this.accessory.removeService(existingEveHistory);
+      }
+    }
+    
+    if (!this.enableContactSensor) {
+      const existingContact = this.accessory.getServiceById(hap.Service.ContactSensor, 'door-contact');
+      if (existingContact) {
+        this.log.warn('Contact sensor disabled in config, removing contact sensor service...');
+        this.accessory.removeService(existingContact);
+      }
+    }
+    
+    if (!this.openTooLong) {
+      const existingOpenTooLong = this.accessory.getServiceById(hap.Service.ContactSensor, 'open-too-long');
+      if (existingOpenTooLong) {
+        this.log.warn('Open too long alert disabled in config, removing its sensor...');
+        this.accessory.removeService(existingOpenTooLong);
+      }
+    }
+    
+    // the alert sensor type can change between restarts, so drop whichever one isn't configured
+    [hap.Service.ContactSensor, hap.Service.MotionSensor].forEach(service => {
+      const existingAlert = this.accessory.getServiceById(service, 'close-watchdog');
+      const wanted = this.closeWatchdog?.alert === (service === hap.Service.ContactSensor ? 'contact' : 'motion');
+      if (existingAlert && !wanted) {
+        this.log.warn('Close watchdog alert changed in config, removing old alert sensor...');
+        this.accessory.removeService(existingAlert);
+      }
+    });
+    
+    // serial and firmware get updated after the first successful poll
+    this.accessory.getService(hap.Service.AccessoryInformation)
+      .setCharacteristic(hap.Characteristic.Manufacturer, 'Omlet')
+      .setCharacteristic(hap.Characteristic.Model, 'Smart Autodoor')
+      .setCharacteristic(hap.Characteristic.SerialNumber, this.deviceId)
+      .setCharacteristic(hap.Characteristic.FirmwareRevision, '0.0.0');
+    
+    this.doorService = this.accessory.getService(hap.Service.GarageDoorOpener) 
+      || this.accessory.addService(hap.Service.GarageDoorOpener);
+    
+    this.doorService.setCharacteristic(hap.Characteristic.Name, 'Coop Door');
+    this.doorService.setPrimaryService(true);
+    
+    this.doorService
+      .getCharacteristic(hap.Characteristic.CurrentDoorState)
+      .onGet(this.getCurrentDoorState.bind(this));
+    
+    this.doorService
+      .getCharacteristic(hap.Characteristic.TargetDoorState)
+      .onGet(this.getTargetDoorState.bind(this))
+      .onSet(this.setTargetDoorState.bind(this));
+    
+    this.doorService
+      .getCharacteristic(hap.Characteristic.ObstructionDetected)
+      .onGet(() => this.obstruction !== null);
+    
+    this.doorService.addOptionalCharacteristic(hap.Characteristic.StatusFault);
+    this.doorService
+      .getCharacteristic(hap.Characteristic.StatusFault)
+      .onGet(() => this.getStatusFault('door'));
+    
+    // read-only diagnostics on the door itself, shown by Eve and similar apps
+    [CustomCharacteristic.WifiSignal, CustomCharacteristic.LastSeen].forEach(characteristic => {
+      if (this.enableConnectivityCharacteristics) {
+        this.doorService.addOptionalCharacteristic(characteristic);
+      } else if (this.doorService.testCharacteristic(characteristic)) {
+        this.doorService.removeCharacteristic(this.doorService.getCharacteristic(characteristic));
+      }
+    });
+    if (this.enableConnectivityCharacteristics) {
+      this.doorService
+        .getCharacteristic(CustomCharacteristic.WifiSignal)
+        .onGet(() => this.connectivity?.signal ?? 0);
+      this.doorService
+        .getCharacteristic(CustomCharacteristic.LastSeen)
+        .onGet(() => this.describeLastSeen());
+    }
+    
+    // light and battery are linked to the door as the primary service
+    if (this.enableLight) {
+      this.lightService = this.accessory.getService(hap.Service.Lightbulb) 
+        || this.accessory.addService(hap.Service.Lightbulb);
+      
+      this.lightService.setCharacteristic(hap.Characteristic.Name, 'Coop Light');
+      
+      this.lightService
+        .getCharacteristic(hap.Characteristic.On)
+        .onGet(this.getLightOn.bind(this))
+        .onSet(this.setLightOn.bind(this));
+      
+      this.lightService.addOptionalCharacteristic(hap.Characteristic.StatusFault);
+      this.lightService
+        .getCharacteristic(hap.Characteristic.StatusFault)
+        .onGet(() => this.getStatusFault('light'));
+      
+      this.doorService.addLinkedService(this.lightService);
+    }
+    
+    if (this.enableBattery) {
+      this.batteryService = this.accessory.getService(hap.Service.Battery)
+        || this.accessory.addService(hap.Service.Battery);
+      
+      this.batteryService.setCharacteristic(hap.Characteristic.Name, 'Battery');
+      
+      this.batteryService
+        .getCharacteristic(hap.Characteristic.BatteryLevel)
+        .onGet(this.getBatteryLevel.bind(this));
+      
+      this.batteryService
+        .getCharacteristic(hap.Characteristic.ChargingState)
+        .onGet(this.getChargingState.bind(this));
+      
+      this.batteryService
+        .getCharacteristic(hap.Characteristic.StatusLowBattery)
+        .onGet(this.getStatusLowBattery.bind(this));
+      
+      this.doorService.addLinkedService(this.batteryService);
+    }
+    
+    if (this.enableLightSensor) {
+      this.lightSensorService = this.accessory.getService(hap.Service.LightSensor)
+        || this.accessory.addService(hap.Service.LightSensor);
+      
+      this.lightSensorService.setCharacteristic(hap.Characteristic.Name, 'Coop Light Level');
+      
+      this.lightSensorService
+        .getCharacteristic(hap.Characteristic.CurrentAmbientLightLevel)
+        .onGet(this.getAmbientLightLevel.bind(this));
+      
+      this.doorService.addLinkedService(this.lightSensorService);
+    }
+    
+    if (this.enableScheduleControls) {
+      this.scheduleService = this.accessory.getServiceById(hap.Service.Switch, 'automatic-mode')
+        || this.accessory.addService(hap.Service.Switch, 'Automatic Mode', 'automatic-mode');
+      
+      this.scheduleService.setCharacteristic(hap.Characteristic.Name, 'Automatic Mode');
+      
+      this.scheduleService
+        .getCharacteristic(hap.Characteristic.On)
+        .onGet(this.getAutomaticMode.bind(this))
+        .onSet(this.setAutomaticMode.bind(this));
+      
+      [
+        [CustomCharacteristic.OpenMode, 'open', 'Mode'],
+        [CustomCharacteristic.OpenTime, 'open', 'Time'],
+        [CustomCharacteristic.CloseMode, 'close', 'Mode'],
+        [CustomCharacteristic.CloseTime, 'close', 'Time']
+      ].forEach(([characteristic, event, setting]) => {
+        this.scheduleService.addOptionalCharacteristic(characteristic);
+        this.scheduleService
+          .getCharacteristic(characteristic)
+          .onGet(() => this.getScheduleSetting(event + setting))
+          .onSet((value) => this.setScheduleSetting(event + setting, value));
+      });
+      
+      this.doorService.addLinkedService(this.scheduleService);
+      
+      this.refreshConfigurationIfStale();
+    }
+    
+    if (this.enableLockdown) {
+      this.lockdownService = this.accessory.getServiceById(hap.Service.Switch, 'lockdown')
+        || this.accessory.addService(hap.Service.Switch, 'Coop Lockdown', 'lockdown');
+      
+      this.lockdownService.setCharacteristic(hap.Characteristic.Name, 'Coop Lockdown');
+      this.lockdownService
+        .getCharacteristic(hap.Characteristic.On)
+        .onGet(() => this.lockdown !== null)
+        .onSet(this.setLockdown.bind(this))
+        .updateValue(this.lockdown !== null);
+      
+      this.doorService.addLinkedService(this.lockdownService);
+      
+      if (this.lockdown) {
+        this.log.warn(`[Lockdown] Door has been locked down since ${new Date(this.lockdown.since).toLocaleString()}, opens are blocked`);
+      }
+    }
+    
+    if (this.enableTimedOpen) {
+      this.timedOpenService = this.accessory.getServiceById(hap.Service.Switch, 'timed-open')
+        || this.accessory.addService(hap.Service.Switch, 'Let Them Out', 'timed-open');
+      
+      this.timedOpenService.setCharacteristic(hap.Characteristic.Name, 'Let Them Out');
+      this.timedOpenService
+        .getCharacteristic(hap.Characteristic.On)
+        .onGet(() => this.timedOpen !== null)
+        .onSet(this.setTimedOpen.bind(this));
+      
+      this.doorService.addLinkedService(this.timedOpenService);
+    }
+    
+    // a window that was running when Homebridge stopped still needs its close, even if the switch is gone now
+    const savedTimedOpen = this.stored.timedOpen;
+    if (savedTimedOpen) {
+      this.resumeTimedOpen(savedTimedOpen);
+    }
+    
+    if (this.enableManualEvents) {
+      this.manualEventService = this.accessory.getServiceById(hap.Service.StatelessProgrammableSwitch, 'manual-operation')
+        || this.accessory.addService(hap.Service.StatelessProgrammableSwitch, 'Door Operated Manually', 'manual-operation');
+      
+      this.manualEventService.setCharacteristic(hap.Characteristic.Name, 'Door Operated Manually');
+      this.manualEventService
+        .getCharacteristic(hap.Characteristic.ProgrammableSwitchEvent)
+        .setProps({
+          validValues: [
+            hap.Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS,
+            hap.Characteristic.ProgrammableSwitchEvent.DOUBLE_PRESS
+          ]
+        });
+      
+      this.doorService.addLinkedService(this.manualEventService);
+      
+      // the schedule tells time-based moves apart from button presses
+      this.refreshConfigurationIfStale();
+    }
+    
+    // automations can trigger on a contact sensor without the confirmation HomeKit demands for doors
+    if (this.enableContactSensor) {
+      this.contactService = this.accessory.getServiceById(hap.Service.ContactSensor, 'door-contact')
+        || this.accessory.addService(hap.Service.ContactSensor, 'Coop Door Contact', 'door-contact');
+      
+      this.contactService.setCharacteristic(hap.Characteristic.Name, 'Coop Door Contact');
+      this.contactService
+        .getCharacteristic(hap.Characteristic.ContactSensorState)
+        .onGet(this.getContactSensorState.bind(this));
+      
+      this.doorService.addLinkedService(this.contactService);
+    }
+    
+    // Eve has no battery graph, so the battery level goes into the humidity slot of a custom
+    // history, the one percentage series Eve plots. fakegato picks up which series exist from
+    // the characteristics on the accessory, so this has to be in place before it starts.
+    if (this.enableEveHistory) {
+      this.eveBatteryCharacteristic = this.contactService.testCharacteristic(hap.Characteristic.CurrentRelativeHumidity)
+        ? this.contactService.getCharacteristic(hap.Characteristic.CurrentRelativeHumidity)
+        : this.contactService.addCharacteristic(hap.Characteristic.CurrentRelativeHumidity);
+      this.eveBatteryCharacteristic.onGet(() => this.batteryTracking.level ?? 0);
+    } else if (this.contactService?.testCharacteristic(hap.Characteristic.CurrentRelativeHumidity)) {
+      this.contactService.removeCharacteristic(this.contactService.getCharacteristic(hap.Characteristic.CurrentRelativeHumidity));
+    }
+    
+    // fakegato adds its service to the accessory, or takes over the cached one
+    if (this.enableEveHistory) {
+      this.eveHistoryService = new FakeGatoHistoryService('custom', this.accessory, {
+        storage: 'fs',
+        path: platform.api.user.storagePath(),
+        filename: `omlet-coop-eve-${this.deviceId}.json`,
+        disableTimer: true,
+        log: this.log
+      });
+    }
+    
+    if (this.openTooLong) {
+      this.openTooLongService = this.accessory.getServiceById(hap.Service.ContactSensor, 'open-too-long')
+        || this.accessory.addService(hap.Service.ContactSensor, 'Door Open Too Long', 'open-too-long');
+      
+      this.openTooLongService.setCharacteristic(hap.Characteristic.Name, 'Door Open Too Long');
+      this.openTooLongService
+        .getCharacteristic(hap.Characteristic.ContactSensorState)
+        .onGet(() => this.openTooLongActive
+          ? hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+          : hap.Characteristic.ContactSensorState.CONTACT_DETECTED);
+      
+      this.doorService.addLinkedService(this.openTooLongService);
+    }
+    
+    if (this.closeWatchdog?.alert === 'contact') {
+      this.watchdogService = this.accessory.getServiceById(hap.Service.ContactSensor, 'close-watchdog')
+        || this.accessory.addService(hap.Service.ContactSensor, 'Door Left Open', 'close-watchdog');
+      
+      this.watchdogService.setCharacteristic(hap.Characteristic.Name, 'Door Left Open');
+      this.watchdogService
+        .getCharacteristic(hap.Characteristic.ContactSensorState)
+        .onGet(() => this.watchdogAlert
+          ? hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+          : hap.Characteristic.ContactSensorState.CONTACT_DETECTED);
+      
+      this.doorService.addLinkedService(this.watchdogService);
+    } else if (this.closeWatchdog?.alert === 'motion') {
+      this.watchdogService = this.accessory.getServiceById(hap.Service.MotionSensor, 'close-watchdog')
+        || this.accessory.addService(hap.Service.MotionSensor, 'Door Left Open', 'close-watchdog');
+      
+      this.watchdogService.setCharacteristic(hap.Characteristic.Name, 'Door Left Open');
+      this.watchdogService
+        .getCharacteristic(hap.Characteristic.MotionDetected)
+        .onGet(() => this.watchdogAlert);
+      
+      this.doorService.addLinkedService(this.watchdogService);
+    }
+    
+    if (this.closeWatchdog) {
+      this.scheduleCloseWatchdog();
+    }
+    
+    const services = ['door'];
+    if (this.enableLight) services.push('light');
+    if (this.enableBattery) services.push('battery');
+    if (this.enableLightSensor) services.push('light sensor');
+    if (this.enableScheduleControls) services.push('schedule');
+    if (this.lockdownService) services.push('lockdown');
+    if (this.timedOpenService) services.push('timed open');
+    if (this.manualEventService) services.push('manual operation events');
+    if (this.contactService) services.push('contact sensor');
+    if (this.eveHistoryService) services.push('Eve history');
+    if (this.openTooLongService) services.push('open too long alert');
+    if (this.watchdogService) services.push('close watchdog alert');
+    this.log.info(`Coop accessory initialized with ${services.join(', ')} service${services.length > 1 ? 's' : ''}`);
+    
+    this.restoreSnapshot(this.stored.status);
+  }
+  
+  // Serves the last saved status until the first poll replaces it. It still counts as data from
+  // savedAt, so a snapshot older than staleAfter shows No Response rather than old states.
+  restoreSnapshot(snapshot) {
+    const savedAt = Date.parse(snapshot?.savedAt);
+    if (!snapshot?.status || isNaN(savedAt)) {
+      return;
+    }
+    
+    this.cachedStatus = snapshot.status;
+    this.lastPollAt = savedAt;
+    this.snapshotPending = true;
+    this.log.info(`[Startup] Showing last known state from ${new Date(savedAt).toLocaleString()} until the first poll`);
+    
+    if (!this.checkStale()) {
+      this.pushStateToHomeKit();
+    }
+  }
+  
+  // light
+  
+  async getLightOn() {
+    this.throwIfUnreachable();
+    try {
+      if (!this.cachedStatus) {
+        await this.pollDeviceState();
+      }
+      const lightState = this.cachedStatus?.state?.light?.state;
+      if (!lightState) {
+        throw new Error('Invalid API response: missing light state');
+      }
+      return (lightState === 'on' || lightState === 'onpending');
+    } catch (error) {
+      this.log.error('[Light] Failed to get light state:', error.message);
+      throw new Error('Failed to get light state');
+    }
+  }
+  
+  async setLightOn(value) {
+    const action = value ? 'on' : 'off';
+    const command = this.queueCommand('light', action, action, 'HomeKit');
+    await this.waitForSend(command);
+  }
+  
+  // battery
+  
+  async getBatteryLevel() {
+    this.throwIfUnreachable();
+    try {
+      if (!this.cachedStatus) {
+        await this.pollDeviceState();
+      }
+      const batteryLevel = this.cachedStatus?.state?.general?.batteryLevel;
+      if (batteryLevel === undefined || batteryLevel === null) {
+        throw new Error('Invalid API response: missing battery level');
+      }
+      return batteryLevel;
+    } catch (error) {
+      this.log.error('[Battery] Failed to get battery level:', error.message);
+      throw new Error('Failed to get battery level');
+    }
+  }
+  
+  getChargingState() {
+    // AA batteries aren't recharged, but Home shows CHARGING as plugged in while on the power adapter
+    return this.isMainsPowered(this.cachedStatus) ? 1 : 2;
+  }
+  
+  async getStatusLowBattery() {
+    this.throwIfUnreachable();
+    try {
+      if (!this.cachedStatus) {
+        await this.pollDeviceState();
+      }
+      const batteryLevel = this.cachedStatus?.state?.general?.batteryLevel;
+      if (batteryLevel === undefined || batteryLevel === null) {
+        throw new Error('Invalid API response: missing battery level');
+      }
+      return this.isBatteryLow(batteryLevel) ? 1 : 0;
+    } catch (error) {
+      this.log.error('[Battery] Failed to get low battery status:', error.message);
+      throw new Error('Failed to get low battery status');
+    }
+  }
+  
+  isMainsPowered(status) {
+    const source = status?.state?.general?.powerSource;
+    return typeof source === 'string' && MAINS_POWER_SOURCES.includes(source.toLowerCase());
+  }
+  
+  // low below the threshold, or when the drain estimate runs out within lowBatteryDays
+  isBatteryLow(level) {
+    if (this.isMainsPowered(this.cachedStatus)) {
+      return false;
+    }
+    if (level < this.lowBatteryThreshold) {
+      return true;
+    }
+    const daysRemaining = this.batteryTracking.daysRemaining ?? null;
+    return this.lowBatteryDays !== null && daysRemaining !== null && daysRemaining <= this.lowBatteryDays;
+  }
+  
+  describeBattery(level) {
+    const daysRemaining = this.batteryTracking.daysRemaining ?? null;
+    if (daysRemaining === null) {
+      return `${level}%`;
+    }
+    return `${level}%, about ${daysRemaining} day${daysRemaining === 1 ? '' : 's'} left`;
+  }
+  
+  // Keeps a reading each time the level changes since the last battery swap, and refits the drain rate.
+  // Returns true when the level rose enough to mean the batteries were replaced.
+  trackBattery(status) {
+    const level = status.state?.general?.batteryLevel;
+    if (level === undefined || level === null) {
+      return false;
+    }
+    
+    const tracking = this.batteryTracking;
+    const mains = this.isMainsPowered(status);
+    let changed = false;
+    let replaced = false;
+    let newReading = false;
+    
+    if (tracking.mains !== mains) {
+      if (tracking.mains !== undefined) {
+        this.log.info(`[Battery] Now running on ${mains ? 'mains power' : 'batteries'}`);
+      }
+      // drain from before the switch says nothing about drain after it
+      tracking.mains = mains;
+      tracking.readings = [];
+      changed = true;
+    }
+    
+    const last = tracking.readings[tracking.readings.length - 1];
+    if (!mains && (!last || last.level !== level)) {
+      if (last && level - last.level >= BATTERY_SWAP_RISE) {
+        this.log.info(`[Battery] Batteries replaced (${last.level}% -> ${level}%), starting a new drain estimate`);
+        tracking.readings = [];
+        tracking.replacedAt = new Date().toISOString();
+        replaced = true;
+      }
+      tracking.readings.push({ time: Date.now(), level });
+      if (tracking.readings.length > BATTERY_MAX_READINGS) {
+        tracking.readings.splice(0, tracking.readings.length - BATTERY_MAX_READINGS);
+      }
+      newReading = true;
+      changed = true;
+    }
+    
+    const drain = mains ? null : this.estimateBatteryDrain(level);
+    const daysRemaining = drain ? drain.daysRemaining : null;
+    if (daysRemaining !== (tracking.daysRemaining ?? null)) {
+      tracking.daysRemaining = daysRemaining;
+      tracking.drainPerDay = drain ? drain.perDay : null;
+      changed = true;
+    }
+    
+    if (newReading) {
+      if (this.enableBattery || this.debug) {
+        this.log.info(`[Battery] ${this.describeBattery(level)}`);
+      }
+      if (this.eveHistoryService) {
+        this.addEveBatteryEntry(level);
+      }
+    }
+    
+    const low = this.isBatteryLow(level);
+    if (low !== this.batteryLow) {
+      if (low) {
+        this.log.warn(`[Battery] Battery low (${this.describeBattery(level)})`);
+      } else {
+        this.log.info('[Battery] Battery no longer low');
+      }
+      this.batteryLow = low;
+      tracking.low = low;
+      changed = true;
+    }
+    
+    if (changed || tracking.level !== level) {
+      tracking.device = this.accessory.displayName;
+      tracking.level = level;
+      tracking.updatedAt = new Date().toISOString();
+      this.saveBatteryTracking();
+    }
+    
+    return replaced;
+  }
+  
+  // Least-squares drain rate in % per day. The current level counts as a reading taken now,
+  // so a level that hasn't moved for a while slows the estimate down.
+  estimateBatteryDrain(level) {
+    const readings = this.batteryTracking.readings;
+    if (readings.length === 0) {
+      return null;
+    }
+    
+    const start = readings[0].time;
+    const points = readings.map(reading => ({ day: (reading.time - start) / DAY_MS, level: reading.level }));
+    points.push({ day: (Date.now() - start) / DAY_MS, level });
+    if (points[points.length - 1].day < BATTERY_MIN_SPAN_DAYS) {
+      return null;
+    }
+    
+    const meanDay = points.reduce((sum, point) => sum + point.day, 0) / points.length;
+    const meanLevel = points.reduce((sum, point) => sum + point.level, 0) / points.length;
+    let covariance = 0;
+    let variance = 0;
+    points.forEach(point => {
+      covariance += (point.day - meanDay) * (point.level - meanLevel);
+      variance += (point.day - meanDay) ** 2;
+    });
+    
+    const slope = covariance / variance;
+    if (!(slope < 0)) {
+      return null;
+    }
+    
+    return {
+      perDay: Math.round(-slope * 10) / 10,
+      daysRemaining: Math.floor(level / -slope)
+    };
+  }
+  
+  saveBatteryTracking() {
+    this.stored.battery = this.batteryTracking;
+    this.platform.savePluginState();
+  }
+  
+  // light sensor
+  
+  // the reading lives with the door on most firmware, under general on some
+  getRawLightLevel(status) {
+    const raw = status?.state?.door?.lightLevel ?? status?.state?.general?.lightLevel;
+    const value = parseFloat(raw);
+    return isNaN(value) ? undefined : value;
+  }
+  
+  // Omlet reports the sensor roughly in lux; lightLevelScale calibrates it against a real meter.
+  // HomeKit rejects values outside 0.0001-100000 lux, and 0 would read as an error.
+  toLux(rawLevel) {
+    const lux = rawLevel * this.lightLevelScale;
+    return Math.min(100000, Math.max(0.0001, lux));
+  }
+  
+  async getAmbientLightLevel() {
+    this.throwIfUnreachable();
+    try {
+      if (!this.cachedStatus) {
+        await this.pollDeviceState();
+      }
+      const rawLevel = this.getRawLightLevel(this.cachedStatus);
+      if (rawLevel === undefined) {
+        throw new Error('Invalid API response: missing light level');
+      }
+      return this.toLux(rawLevel);
+    } catch (error) {
+      this.log.error('[LightSensor] Failed to get light level:', error.message);
+      throw new Error('Failed to get light level');
+    }
+  }
+  
+  // door
+  
+  async getCurrentDoorState() {
+    this.throwIfUnreachable();
+    try {
+      if (!this.cachedStatus) {
+        await this.pollDeviceState();
+      }
+      const doorState = this.cachedStatus?.state?.door?.state;
+      if (!doorState) {
+        throw new Error('Invalid API response: missing door state');
+      }
+      return this.toCurrentDoorState(doorState);
+    } catch (error) {
+      this.log.error('[Door] Failed to get door state:', error.message);
+      throw new Error('Failed to get door state');
+    }
+  }
+  
+  toCurrentDoorState(doorState) {
+    const stateMap = {
+      'open': hap.Characteristic.CurrentDoorState.OPEN,
+      'closed': hap.Characteristic.CurrentDoorState.CLOSED,
+      'opening': hap.Characteristic.CurrentDoorState.OPENING,
+      'closing': hap.Characteristic.CurrentDoorState.CLOSING,
+      'stopping': hap.Characteristic.CurrentDoorState.STOPPED
+    };
+    
+    if (!(doorState in stateMap)) {
+      this.logUnknownValueOnce('door state', doorState, this.cachedStatus?.state?.door);
+    }
+    
+    return stateMap[doorState] ?? hap.Characteristic.CurrentDoorState.STOPPED;
+  }
+  
+  async getTargetDoorState() {
+    this.throwIfUnreachable();
+    try {
+      if (!this.cachedStatus) {
+        await this.pollDeviceState();
+      }
+      const doorState = this.cachedStatus?.state?.door?.state;
+      if (doorState === 'open' || doorState === 'opening') {
+        return hap.Characteristic.TargetDoorState.OPEN;
+      }
+      return hap.Characteristic.TargetDoorState.CLOSED;
+    } catch (error) {
+      this.log.error('[Door] Failed to get target door state:', error.message);
+      throw new Error('Failed to get target door state');
+    }
+  }
+  
+  // only a fully closed door counts as contact, so a door stuck part-way still reads as open
+  async getContactSensorState() {
+    this.throwIfUnreachable();
+    try {
+      if (!this.cachedStatus) {
+        await this.pollDeviceState();
+      }
+      const doorState = this.cachedStatus?.state?.door?.state;
+      if (!doorState) {
+        throw new Error('Invalid API response: missing door state');
+      }
+      return this.toContactSensorState(doorState);
+    } catch (error) {
+      this.log.error('[Door] Failed to get contact sensor state:', error.message);
+      throw new Error('Failed to get contact sensor state');
+    }
+  }
+  
+  toContactSensorState(doorState) {
+    return (doorState === 'closed')
+      ? hap.Characteristic.ContactSensorState.CONTACT_DETECTED
+      : hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED;
+  }
+  
+  async setTargetDoorState(value) {
+    const action = (value === hap.Characteristic.TargetDoorState.OPEN) ? 'open' : 'close';
+    
+    if (this.timedOpen) {
+      this.log.info('[Timer] Door changed from HomeKit, timed open cancelled');
+      this.clearTimedOpen();
+    }
+    await this.commandDoor(action, 'HomeKit');
+  }
+  
+  // every door movement the plugin starts goes through here, whatever the source
+  async commandDoor(action, source = 'HomeKit') {
+    const via = (source === 'HomeKit') ? '' : ` (${source})`;
+    
+    if (action === 'open' && this.lockdown) {
+      this.log.warn('[Lockdown] Open request blocked' + via);
+      // HomeKit already shows the door as opening, so put it back
+      setImmediate(() => this.pushStateToHomeKit());
+      throw new hap.HapStatusError(hap.HAPStatus.NOT_ALLOWED_IN_CURRENT_STATE);
+    }
+    
+    const command = this.queueCommand('door', action, action === 'open' ? 'open' : 'closed', source);
+    
+    this.doorService
+      .getCharacteristic(hap.Characteristic.TargetDoorState)
+      .updateValue(action === 'open' ? hap.Characteristic.TargetDoorState.OPEN : hap.Characteristic.TargetDoorState.CLOSED);
+    
+    // HomeKit only waits for the request to go out; the queue tracks confirmation from there
+    await this.waitForSend(command);
+    return command;
+  }
+  
+  // command queue
+  
+  // Each type (door, light) has at most one command in flight, in pendingCommands, and one waiting
+  // behind it, in queuedCommands. A newer request replaces the waiting one, so rapid toggles collapse
+  // to the last target. Each command's `done` promise settles once a poll confirms it, or it fails.
+  queueCommand(type, action, target, source) {
+    const label = (type === 'door') ? '[Door]' : '[Light]';
+    const queued = this.queuedCommands[type];
+    const active = this.pendingCommands[type];
+    
+    if (queued?.target === target) {
+      return queued;
+    }
+    if (queued) {
+      this.log.info(label, `Queued ${queued.action} (${queued.source}) replaced by ${action} (${source})`);
+      delete this.queuedCommands[type];
+      queued.reject(new Error('Replaced by a later command'));
+    }
+    if (active?.target === target) {
+      if (this.debug) {
+        this.log.info(label, `Already waiting for ${target}, ${action} (${source}) merged`);
+      }
+      return active;
+    }
+    if (active) {
+      this.log.info(label, `${action} (${source}) queued until ${active.action} (${active.source}) is confirmed`);
+    }
+    
+    let resolve;
+    let reject;
+    const done = new Promise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    // callers may ignore the outcome; failures are logged here
+    done.catch(() => {});
+    
+    const command = { type, action, target, source, queuedAt: Date.now(), issuedAt: null, done, resolve, reject };
+    this.queuedCommands[type] = command;
+    this.processQueue(type);
+    return command;
+  }
+  
+  // sends the waiting command once nothing is in flight and the device isn't moving the other way
+  processQueue(type) {
+    const command = this.queuedCommands[type];
+    if (!command || this.pendingCommands[type]) {
+      return;
+    }
+    
+    const label = (type === 'door') ? '[Door]' : '[Light]';
+    const state = this.cachedStatus?.state?.[type]?.state;
+    const transitional = (type === 'door') ? TRANSITIONAL_DOOR_STATES : TRANSITIONAL_LIGHT_STATES;
+    const heading = TRANSITION_TARGETS[state];
+    
+    if (transitional.includes(state) && heading !== command.target) {
+      if (Date.now() - command.queuedAt > COMMAND_PENDING_TIMEOUT) {
+        delete this.queuedCommands[type];
+        this.log.error(label, `Gave up on ${command.action} (${command.source}), ${type} was still ${state}`);
+        command.reject(new Error(`${type} still ${state}`));
+        this.pushStateToHomeKit();
+        return;
+      }
+      if (!command.waitLogged) {
+        this.log.info(label, `${type === 'door' ? 'Door' : 'Light'} is ${state}, ${command.action} will be sent once it settles`);
+        command.waitLogged = true;
+        // once, so MAX_FAST_POLLS still caps the wait
+        this.platform.requestFastPolling();
+      }
+      return;
+    }
+    
+    delete this.queuedCommands[type];
+    this.pendingCommands[type] = command;
+    command.issuedAt = Date.now();
+    command.timer = setTimeout(() => {
+      this.failCommand(type, `${command.action} (${command.source}) not confirmed within ${COMMAND_PENDING_TIMEOUT / 1000} seconds, HomeKit state rolled back`);
+    }, COMMAND_PENDING_TIMEOUT);
+    
+    if (heading === command.target) {
+      // already moving there, so only confirmation is needed
+      this.platform.requestFastPolling();
+      return;
+    }
+    
+    command.sent = this.sendCommand(command);
+    command.sent.catch(() => {});
+  }
+  
+  async sendCommand(command) {
+    const { type, action, source } = command;
+    const label = (type === 'door') ? '[Door]' : '[Light]';
+    const via = (source === 'HomeKit') ? '' : ` (${source})`;
+    const description = {
+      open: 'Opening door',
+      close: 'Closing door',
+      on: 'Turning on light',
+      off: 'Turning off light'
+    }[action] + via;
+    
+    try {
+      await this.platform.client.sendAction(this.deviceId, action, type === 'door' ? 'Door' : 'Light', { retries: COMMAND_RETRIES });
+      this.log.info(label, description);
+      this.recordHistory('command', null, action, source);
+    } catch (error) {
+      this.log.error(label, `Failed to set ${type} state:`, error.message);
+      this.failCommand(type, `Failed to set ${type} state`, false);
+      throw new Error(`Failed to set ${type} state`);
+    }
+    
+    if (type === 'door') {
+      this.doorService
+        .getCharacteristic(hap.Characteristic.CurrentDoorState)
+        .updateValue(action === 'open' ? hap.Characteristic.CurrentDoorState.OPENING : hap.Characteristic.CurrentDoorState.CLOSING);
+    }
+    
+    // poll fast until a poll confirms the command
+    this.platform.requestFastPolling();
+  }
+  
+  // A send that fails after this has stopped waiting still rolls HomeKit back, through failCommand
+  async waitForSend(command) {
+    if (!command.sent) {
+      return;
+    }
+    let timer;
+    const answer = new Promise(resolve => {
+      timer = setTimeout(resolve, COMMAND_ANSWER_WAIT);
+    });
+    try {
+      await Promise.race([command.sent, answer]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  
+  completeCommand(type) {
+    const command = this.pendingCommands[type];
+    delete this.pendingCommands[type];
+    clearTimeout(command.timer);
+    command.resolve();
+    if (type === 'door') {
+      this.lastConfirmedDoorTarget = command.target;
+    }
+    this.processQueue(type);
+  }
+  
+  // drops the command in flight and puts HomeKit back to what the device last reported
+  failCommand(type, reason, logReason = true) {
+    const command = this.pendingCommands[type];
+    if (!command) {
+      return;
+    }
+    
+    delete this.pendingCommands[type];
+    clearTimeout(command.timer);
+    if (logReason) {
+      this.log.error(type === 'door' ? '[Door]' : '[Light]', reason);
+    }
+    command.reject(new Error(reason));
+    this.recordHistory('command', null, command.action, command.source, { error: reason });
+    
+    this.pushStateToHomeKit();
+    this.processQueue(type);
+  }
+  
+  hasPendingCommand() {
+    return Object.keys(this.pendingCommands).length > 0 || Object.keys(this.queuedCommands).length > 0;
+  }
+  
+  // connectivity
+  
+  // newer firmware reports connectivity in its own section, older firmware in `general`
+  getConnectivity(status) {
+    const connectivity = status?.state?.connectivity || {};
+    const general = status?.state?.general || {};
+    const signal = parseInt(connectivity.wifiStrength ?? connectivity.rssi ?? general.wifiStrength ?? general.rssi);
+    const connection = connectivity.connectionState ?? connectivity.connected ?? status?.online ?? general.online;
+    
+    let connected = null;
+    if (connection !== undefined && connection !== null) {
+      const value = String(connection).toLowerCase();
+      if (ONLINE_VALUES.includes(value)) {
+        connected = true;
+      } else if (OFFLINE_VALUES.includes(value)) {
+        connected = false;
+      } else {
+        this.logUnknownValueOnce('connection state', connection, status.state?.connectivity || general);
+      }
+    }
+    
+    return {
+      ssid: connectivity.ssid ?? null,
+      signal: isNaN(signal) ? null : signal,
+      connected,
+      lastSeen: this.parseTimestamp(status?.lastSeen ?? connectivity.lastSeen ?? general.lastSeen ?? general.lastContact)
+    };
+  }
+  
+  // Omlet timestamps are ISO strings or Unix seconds; returns milliseconds or null
+  parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const number = Number(value);
+    if (!isNaN(number)) {
+      return number < 1e12 ? number * 1000 : number;
+    }
+    const time = Date.parse(value);
+    return isNaN(time) ? null : time;
+  }
+  
+  describeLastSeen() {
+    const lastSeen = this.connectivity?.lastSeen;
+    return lastSeen ? new Date(lastSeen).toLocaleString() : 'Unknown';
+  }
+  
+  describeConnectivity() {
+    const { ssid, signal } = this.connectivity;
+    const parts = [];
+    if (ssid) {
+      parts.push(`"${ssid}"`);
+    }
+    if (signal !== null) {
+      parts.push(`signal ${signal}`);
+    }
+    if (this.connectivity.lastSeen) {
+      parts.push(`last seen ${this.describeLastSeen()}`);
+    }
+    return parts.join(', ') || 'no connectivity details reported';
+  }
+  
+  // offline when Omlet says so, or when the door hasn't checked in for offlineAfter
+  updateConnectivity(status) {
+    const previous = this.connectivity;
+    this.connectivity = this.getConnectivity(status);
+    const { connected, lastSeen, ssid } = this.connectivity;
+    
+    let reason = null;
+    if (connected === false) {
+      reason = 'Omlet reports it offline';
+    } else if (lastSeen !== null && Date.now() - lastSeen > this.offlineAfter) {
+      reason = `not heard from since ${this.describeLastSeen()}`;
+    }
+    
+    if (!previous) {
+      if (ssid || this.connectivity.signal !== null) {
+        this.log.info(`[Connectivity] Wi-Fi: ${this.describeConnectivity()}`);
+      }
+    } else if (ssid !== previous.ssid) {
+      this.log.info(`[Connectivity] Wi-Fi changed: ${this.describeConnectivity()}`);
+    } else if (this.debug) {
+      this.log.info(`[Poll] Wi-Fi: ${this.describeConnectivity()}`);
+    }
+    
+    const changed = reason !== this.offlineReason;
+    if (reason && !this.offlineReason) {
+      this.log.warn(`[Connectivity] Door is offline (${reason}), HomeKit will show No Response until it reconnects`);
+      this.recordHistory('connectivity', 'online', 'offline', 'device', { message: reason });
+    } else if (!reason && this.offlineReason) {
+      this.log.info('[Connectivity] Door is back online');
+      this.recordHistory('connectivity', 'offline', 'online', 'device');
+    }
+    this.offlineReason = reason;
+    
+    if (changed || !previous || ssid !== previous.ssid || Date.now() - this.connectivitySavedAt >= CONNECTIVITY_SAVE_INTERVAL) {
+      this.saveConnectivity();
+    }
+  }
+  
+  saveConnectivity() {
+    this.stored.connectivity = {
+      device: this.accessory.displayName,
+      ...this.connectivity,
+      offline: this.offlineReason,
+      updatedAt: new Date().toISOString()
+    };
+    this.connectivitySavedAt = Date.now();
+    this.platform.savePluginState();
+  }
+  
+  throwIfUnreachable() {
+    if (this.offlineReason || this.checkStale()) {
+      throw new hap.HapStatusError(hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    }
+  }
+  
+  pushUnreachable() {
+    const error = new hap.HapStatusError(hap.HAPStatus.SERVICE_COMMUNICATION_FAILURE);
+    this.doorService.getCharacteristic(hap.Characteristic.CurrentDoorState).updateValue(error);
+    this.doorService.getCharacteristic(hap.Characteristic.TargetDoorState).updateValue(error);
+    if (this.lightService) {
+      this.lightService.getCharacteristic(hap.Characteristic.On).updateValue(error);
+    }
+    if (this.contactService) {
+      this.contactService.getCharacteristic(hap.Characteristic.ContactSensorState).updateValue(error);
+    }
+  }
+  
+  // stale data
+  
+  pollFailed() {
+    this.failedPolls++;
+    this.checkStale();
+  }
+  
+  // Cached states stop being served after staleAfterPolls failed polls in a row, or once the last
+  // good poll is older than staleAfter. Returns the reason, or null while the cache is fresh.
+  checkStale() {
+    let reason = null;
+    if (this.failedPolls >= this.staleAfterPolls) {
+      reason = `${this.failedPolls} poll${this.failedPolls === 1 ? '' : 's'} in a row failed`;
+    } else if (this.lastPollAt !== null && Date.now() - this.lastPollAt > this.staleAfter) {
+      reason = `no successful poll since ${new Date(this.lastPollAt).toLocaleString()}`;
+    }
+    
+    if (reason && !this.staleReason) {
+      this.log.warn(`[Poll] Door state is out of date (${reason}), HomeKit will show No Response until a poll succeeds`);
+      this.staleReason = reason;
+      this.pushUnreachable();
+    } else if (!reason && this.staleReason) {
+      this.log.info('[Poll] Poll succeeded, door state is up to date again');
+      this.staleReason = null;
+    } else if (reason) {
+      this.staleReason = reason;
+    }
+    
+    return this.staleReason;
+  }
+  
+  // polling
+  
+  // the platform polls every door in one request and hands each accessory its status
+  async pollDeviceState() {
+    await this.platform.pollAllDevices();
+    return this.cachedStatus;
+  }
+  
+  // returns true when the door or light state differs from the previous poll
+  updateStatus(status) {
+    const previous = this.cachedStatus;
+    this.cachedStatus = status;
+    this.lastPollAt = Date.now();
+    this.failedPolls = 0;
+    this.checkStale();
+    
+    if (this.snapshotPending) {
+      this.snapshotPending = false;
+      if (this.debug) {
+        this.log.info('[Poll] First poll replaced the saved state');
+      }
+    }
+    
+    // some responses include the configuration, which saves a separate request
+    if (status.configuration?.door) {
+      this.deviceConfiguration = status.configuration;
+      this.configurationCheckedAt = Date.now();
+      this.pushScheduleToHomeKit();
+    }
+    
+    const doorState = status.state?.door?.state;
+    const lightState = status.state?.light?.state;
+    
+    const doorCommand = this.pendingCommands.door;
+    const lightCommand = this.pendingCommands.light;
+    const batteryReplaced = this.trackBattery(status);
+    this.updateConnectivity(status);
+    this.retryTimedOpenClose(doorState);
+    
+    if (previous) {
+      const previousDoor = previous.state?.door?.state;
+      const previousLight = previous.state?.light?.state;
+      const previousBattery = previous.state?.general?.batteryLevel;
+      const battery = status.state?.general?.batteryLevel;
+      
+      if (doorState && previousDoor !== doorState) {
+        this.recordHistory('door', previousDoor, doorState, this.changeSource(doorState, doorCommand));
+      }
+      if (lightState && previousLight !== lightState) {
+        this.recordHistory('light', previousLight, lightState, this.changeSource(lightState, lightCommand));
+      }
+      if (battery !== undefined && battery !== null && battery !== previousBattery) {
+        this.recordHistory('battery', previousBattery, battery, 'device', batteryReplaced ? { message: 'Batteries replaced' } : undefined);
+      }
+    }
+    
+    if (doorCommand && doorCommand.target === doorState) {
+      this.completeCommand('door');
+    }
+    if (doorState) {
+      this.checkDoorMovement(doorState, doorCommand);
+    }
+    if (this.watchdogAlert && doorState === 'closed') {
+      this.log.info('[Watchdog] Door is closed, alert cleared');
+      this.setWatchdogAlert(false);
+    }
+    if (lightCommand && lightCommand.target === lightState) {
+      this.completeCommand('light');
+    }
+    
+    // a command waiting for the door or light to settle may be able to go now
+    this.processQueue('door');
+    this.processQueue('light');
+    
+    // update serial and firmware from the first real response
+    if (!this.accessoryInfoUpdated) {
+      const deviceSerial = status.deviceSerial || this.deviceId;
+      const firmware = status.state?.general?.firmwareVersionCurrent || '0.0.0';
+      this.accessory.getService(hap.Service.AccessoryInformation)
+        .setCharacteristic(hap.Characteristic.SerialNumber, deviceSerial)
+        .setCharacteristic(hap.Characteristic.FirmwareRevision, firmware);
+      if (this.debug) {
+        this.log.info('[Info] Updated accessory info: Serial=' + deviceSerial + ', Firmware=' + firmware);
+      }
+      this.accessoryInfoUpdated = true;
+    }
+    
+    return !!previous && (previous.state?.door?.state !== doorState || previous.state?.light?.state !== lightState);
+  }
+  
+  // Flags a door that stays in motion past doorTravelTime, or never reaches a commanded target.
+  // Movement started by the door itself (schedule, button) is timed from the first poll that sees it.
+  checkDoorMovement(doorState, command) {
+    const now = Date.now();
+    
+    if (TRANSITIONAL_DOOR_STATES.includes(doorState)) {
+      if (!this.doorMovingSince) {
+        this.doorMovingSince = command ? command.issuedAt : now;
+      }
+      
+      const elapsed = now - this.doorMovingSince;
+      if (elapsed > this.doorTravelTime) {
+        const trigger = command ? `${command.source} command` : 'schedule or button';
+        this.reportObstruction(doorState, `Door still ${doorState} ${Math.round(elapsed / 1000)} seconds after ${trigger}, it may be jammed`);
+      }
+      return;
+    }
+    
+    this.doorMovingSince = null;
+    
+    if (command && command.target !== doorState) {
+      if (now - command.issuedAt > this.doorTravelTime) {
+        this.reportObstruction(doorState, `Door did not reach ${command.target} within ${this.doorTravelTime / 1000} seconds of ${command.source} command (still ${doorState}), it may be jammed`);
+        // stop waiting for this command so polling can back off and HomeKit shows the real target
+        this.failCommand('door', `Door did not reach ${command.target}`, false);
+      }
+      return;
+    }
+    
+    // a confirmed command or a door that moved since the fault means it is running cleanly again
+    if (this.obstruction && (command || this.obstruction.doorState !== doorState)) {
+      this.clearObstruction(doorState);
+    }
+  }
+  
+  reportObstruction(doorState, message) {
+    if (this.obstruction) {
+      return;
+    }
+    
+    this.obstruction = { doorState, since: Date.now() };
+    this.log.warn(`[Door] ${message}`);
+    this.recordHistory('fault', null, 'obstruction', 'plugin', { component: 'door', message });
+    this.doorService.getCharacteristic(hap.Characteristic.ObstructionDetected).updateValue(true);
+  }
+  
+  clearObstruction(doorState) {
+    this.obstruction = null;
+    this.log.info(`[Door] Door is ${doorState}, obstruction cleared`);
+    this.recordHistory('fault', 'obstruction', null, 'plugin', { component: 'door' });
+    this.doorService.getCharacteristic(hap.Characteristic.ObstructionDetected).updateValue(false);
+  }
+  
+  isInTransition() {
+    const doorState = this.cachedStatus?.state?.door?.state;
+    const lightState = this.cachedStatus?.state?.light?.state;
+    return TRANSITIONAL_DOOR_STATES.includes(doorState) || TRANSITIONAL_LIGHT_STATES.includes(lightState);
+  }
+
+  pushStateToHomeKit() {
+    try {
+      const status = this.cachedStatus;
+      if (!status) return;
+      
+      if (this.enableConnectivityCharacteristics) {
+        this.doorService.getCharacteristic(CustomCharacteristic.WifiSignal).updateValue(this.connectivity?.signal ?? 0);
+        this.doorService.getCharacteristic(CustomCharacteristic.LastSeen).updateValue(this.describeLastSeen());
+      }
+      
+      // the cloud's copy of an offline door is stale, so show No Response rather than old states
+      if (this.offlineReason || this.staleReason) {
+        this.pushUnreachable();
+        return;
+      }
+
+      // Door state
+      const doorState = status.state?.door?.state;
+      if (doorState) {
+        const currentState = this.toCurrentDoorState(doorState);
+        this.doorService.getCharacteristic(hap.Characteristic.CurrentDoorState).updateValue(currentState);
+
+        // a command still in the queue is what the user asked for, so keep showing it
+        const commandTarget = (this.queuedCommands.door || this.pendingCommands.door)?.target;
+        const opening = commandTarget ? commandTarget === 'open' : (doorState === 'open' || doorState === 'opening');
+        const targetState = opening
+          ? hap.Characteristic.TargetDoorState.OPEN
+          : hap.Characteristic.TargetDoorState.CLOSED;
+        this.doorService.getCharacteristic(hap.Characteristic.TargetDoorState).updateValue(targetState);
+
+        if (this.contactService) {
+          this.contactService.getCharacteristic(hap.Characteristic.ContactSensorState).updateValue(this.toContactSensorState(doorState));
+        }
+        
+        // the saved state only fills in characteristics; changes and alerts wait for live data
+        if (!this.snapshotPending) {
+          this.detectExternalChange(doorState);
+          if (this.eveHistoryService) {
+            this.addEveDoorEntry(doorState);
+          }
+          if (this.openTooLong) {
+            this.updateOpenTooLong(doorState);
+          }
+        }
+
+        if (this.debug) {
+          this.log.info('[Poll] Door:', doorState, '-> HomeKit:', currentState);
+        }
+      }
+
+      // Light state
+      if (this.enableLight && this.lightService) {
+        const lightState = status.state?.light?.state;
+        if (lightState !== undefined) {
+          if (!['on', 'off', ...TRANSITIONAL_LIGHT_STATES].includes(lightState)) {
+            this.logUnknownValueOnce('light state', lightState, status.state.light);
+          }
+          const isOn = (lightState === 'on' || lightState === 'onpending');
+          this.lightService.getCharacteristic(hap.Characteristic.On).updateValue(isOn);
+          if (this.debug) {
+            this.log.info('[Poll] Light:', lightState, '-> isOn:', isOn);
+          }
+        }
+      }
+
+      // Battery state
+      if (this.enableBattery && this.batteryService) {
+        const batteryLevel = status.state?.general?.batteryLevel;
+        if (batteryLevel !== undefined && batteryLevel !== null) {
+          this.batteryService.getCharacteristic(hap.Characteristic.BatteryLevel).updateValue(batteryLevel);
+          this.batteryService.getCharacteristic(hap.Characteristic.ChargingState).updateValue(this.getChargingState());
+          const isLow = this.isBatteryLow(batteryLevel) ? 1 : 0;
+          this.batteryService.getCharacteristic(hap.Characteristic.StatusLowBattery).updateValue(isLow);
+          if (this.debug) {
+            this.log.info('[Poll] Battery:', batteryLevel + '%, low:', isLow);
+          }
+        }
+      }
+      
+      // Light sensor
+      if (this.enableLightSensor && this.lightSensorService) {
+        const rawLevel = this.getRawLightLevel(status);
+        if (rawLevel !== undefined) {
+          const lux = this.toLux(rawLevel);
+          this.lightSensorService.getCharacteristic(hap.Characteristic.CurrentAmbientLightLevel).updateValue(lux);
+          if (this.debug) {
+            this.log.info('[Poll] Light level:', rawLevel, '-> lux:', lux);
+          }
+        }
+      }
+      
+      this.updateFaults(status);
+    } catch (error) {
+      this.log.error('[Poll] Failed to push state to HomeKit:', error.message);
+    }
+  }
+  
+  // schedule
+  
+  async refreshConfiguration() {
+    try {
+      const configuration = await this.platform.client.getConfiguration(this.deviceId);
+      if (configuration?.door) {
+        this.deviceConfiguration = configuration;
+        this.pushScheduleToHomeKit();
+      }
+    } catch (error) {
+      this.log.error('[Schedule] Failed to read door schedule:', error.message);
+    }
+  }
+  
+  async updateDoorConfiguration(changes) {
+    await this.platform.client.updateConfiguration(this.deviceId, { door: changes });
+    
+    const configuration = this.deviceConfiguration || {};
+    this.deviceConfiguration = { ...configuration, door: { ...configuration.door, ...changes } };
+    this.pushScheduleToHomeKit();
+  }
+  
+  isAutomaticMode() {
+    const door = this.deviceConfiguration?.door;
+    return !!door && (door.openMode !== 'manual' || door.closeMode !== 'manual');
+  }
+  
+  getAutomaticMode() {
+    this.refreshConfigurationIfStale();
+    if (!this.deviceConfiguration?.door) {
+      throw new Error('Door schedule not loaded yet');
+    }
+    return this.isAutomaticMode();
+  }
+  
+  // HomeKit gets the cached copy right away; the refresh pushes any change when it lands
+  refreshConfigurationIfStale() {
+    if (this.configurationRefresh || Date.now() - (this.configurationCheckedAt || 0) < CONFIGURATION_MAX_AGE) {
+      return;
+    }
+    this.configurationCheckedAt = Date.now();
+    this.configurationRefresh = this.refreshConfiguration()
+      .finally(() => {
+        this.configurationRefresh = null;
+      });
+  }
+  
+  async setAutomaticMode(value) {
+    if (value && this.lockdown) {
+      this.log.warn('[Lockdown] Automatic mode stays off while the door is locked down');
+      setImmediate(() => this.pushScheduleToHomeKit());
+      throw new hap.HapStatusError(hap.HAPStatus.NOT_ALLOWED_IN_CURRENT_STATE);
+    }
+    
+    // the live schedule, so modes changed in the Omlet app since the last read aren't lost
+    let door;
+    try {
+      const configuration = await this.platform.client.getConfiguration(this.deviceId);
+      if (!configuration?.door) {
+        throw new Error('No door schedule in response');
+      }
+      this.deviceConfiguration = configuration;
+      this.configurationCheckedAt = Date.now();
+      door = configuration.door;
+    } catch (error) {
+      this.log.error('[Schedule] Failed to set automatic mode:', error.message);
+      throw new Error('Failed to set automatic mode');
+    }
+    
+    // guessing modes would overwrite a schedule set up in the Omlet app
+    const modes = this.stored.automaticModes;
+    if (value && !this.isAutomaticMode() && !modes) {
+      this.log.warn('[Schedule] Automatic mode not turned on: no earlier open and close modes known, set them in the Omlet app or with Open Mode and Close Mode');
+      setImmediate(() => this.pushScheduleToHomeKit());
+      throw new hap.HapStatusError(hap.HAPStatus.NOT_ALLOWED_IN_CURRENT_STATE);
+    }
+    
+    try {
+      if (value) {
+        if (this.isAutomaticMode()) {
+          this.pushScheduleToHomeKit();
+          return;
+        }
+        // restore the modes that were active before switching to manual
+        await this.updateDoorConfiguration(modes);
+        this.log.info(`[Schedule] Automatic mode on (open: ${modes.openMode}, close: ${modes.closeMode})`);
+      } else {
+        if (this.isAutomaticMode()) {
+          this.stored.automaticModes = { openMode: door.openMode, closeMode: door.closeMode };
+          this.platform.savePluginState();
+        }
+        await this.updateDoorConfiguration({ openMode: 'manual', closeMode: 'manual' });
+        this.log.info('[Schedule] Automatic mode off, door is in manual mode');
+      }
+    } catch (error) {
+      this.log.error('[Schedule] Failed to set automatic mode:', error.message);
+      throw new Error('Failed to set automatic mode');
+    }
+  }
+  
+  getScheduleSetting(setting) {
+    this.refreshConfigurationIfStale();
+    return String(this.deviceConfiguration?.door?.[setting] ?? '');
+  }
+  
+  async setScheduleSetting(setting, value) {
+    const isMode = setting.endsWith('Mode');
+    const normalized = String(value).trim().toLowerCase();
+    
+    if (isMode && !DOOR_MODES.includes(normalized)) {
+      this.log.error(`[Schedule] Invalid ${setting} "${value}", expected one of: ${DOOR_MODES.join(', ')}`);
+      throw new Error(`Invalid ${setting}`);
+    }
+    if (!isMode && !/^([01][0-9]|2[0-3]):[0-5][0-9]$/.test(normalized)) {
+      this.log.error(`[Schedule] Invalid ${setting} "${value}", expected HH:MM (24-hour)`);
+      throw new Error(`Invalid ${setting}`);
+    }
+    if (isMode && normalized !== 'manual' && this.lockdown) {
+      this.log.warn(`[Lockdown] ${setting} stays manual while the door is locked down`);
+      setImmediate(() => this.pushScheduleToHomeKit());
+      throw new hap.HapStatusError(hap.HAPStatus.NOT_ALLOWED_IN_CURRENT_STATE);
+    }
+    
+    try {
+      await this.updateDoorConfiguration({ [setting]: normalized });
+      this.log.info(`[Schedule] Set ${setting} to ${normalized}`);
+    } catch (error) {
+      this.log.error(`[Schedule] Failed to set ${setting}:`, error.message);
+      throw new Error(`Failed to set ${setting}`);
+    }
+  }
+  
+  pushScheduleToHomeKit() {
+    if (!this.scheduleService || !this.deviceConfiguration?.door) {
+      return;
+    }
+    
+    this.scheduleService.getCharacteristic(hap.Characteristic.On).updateValue(this.isAutomaticMode());
+    this.scheduleService.getCharacteristic(CustomCharacteristic.OpenMode).updateValue(this.getScheduleSetting('openMode'));
+    this.scheduleService.getCharacteristic(CustomCharacteristic.OpenTime).updateValue(this.getScheduleSetting('openTime'));
+    this.scheduleService.getCharacteristic(CustomCharacteristic.CloseMode).updateValue(this.getScheduleSetting('closeMode'));
+    this.scheduleService.getCharacteristic(CustomCharacteristic.CloseTime).updateValue(this.getScheduleSetting('closeTime'));
+  }
+  
+  // lockdown
+  
+  // The lock is recorded before the door moves, so opens are blocked even if the close or the
+  // switch to manual mode fails. The device's own modes are saved and restored on release.
+  async setLockdown(value) {
+    if (value === (this.lockdown !== null)) {
+      return;
+    }
+    
+    if (value) {
+      this.lockdown = { since: new Date().toISOString(), modes: null };
+      this.saveLockdown();
+      this.log.warn('[Lockdown] Lockdown on, closing door and blocking opens');
+      
+      if (this.timedOpen) {
+        this.log.info('[Timer] Timed open cancelled by lockdown');
+        this.clearTimedOpen();
+      }
+      
+      try {
+        await this.commandDoor('close', 'Lockdown');
+      } catch (error) {
+        this.log.error('[Lockdown] Failed to close door, close it by hand:', error.message);
+      }
+      
+      try {
+        if (!this.deviceConfiguration?.door) {
+          await this.refreshConfiguration();
+        }
+        const door = this.deviceConfiguration?.door;
+        if (!door) {
+          throw new Error('Door schedule not loaded');
+        }
+        if (door.openMode !== 'manual' || door.closeMode !== 'manual') {
+          this.lockdown.modes = { openMode: door.openMode, closeMode: door.closeMode };
+          this.saveLockdown();
+          await this.updateDoorConfiguration({ openMode: 'manual', closeMode: 'manual' });
+          this.log.info(`[Lockdown] Door switched to manual mode (was open: ${door.openMode}, close: ${door.closeMode})`);
+        }
+      } catch (error) {
+        this.log.error('[Lockdown] Failed to switch door to manual mode, its own schedule may still open it:', error.message);
+      }
+      return;
+    }
+    
+    try {
+      if (this.lockdown.modes) {
+        await this.updateDoorConfiguration(this.lockdown.modes);
+        this.log.info(`[Lockdown] Door schedule restored (open: ${this.lockdown.modes.openMode}, close: ${this.lockdown.modes.closeMode})`);
+      }
+    } catch (error) {
+      this.log.error('[Lockdown] Failed to restore door schedule:', error.message);
+      throw new Error('Failed to release lockdown');
+    }
+    
+    this.lockdown = null;
+    this.saveLockdown();
+    this.log.info('[Lockdown] Lockdown off, door can be opened again');
+  }
+  
+  saveLockdown() {
+    if (this.lockdown) {
+      this.stored.lockdown = this.lockdown;
+    } else {
+      delete this.stored.lockdown;
+    }
+    this.platform.savePluginState();
+  }
+  
+  // timed open
+  
+  async setTimedOpen(value) {
+    if (!value) {
+      if (this.timedOpen) {
+        this.log.info('[Timer] Timed open ended early, closing door');
+        await this.finishTimedOpen();
+      }
+      return;
+    }
+    
+    if (this.timedOpen) {
+      return;
+    }
+    
+    try {
+      await this.commandDoor('open', 'Timed open');
+    } catch (error) {
+      setImmediate(() => this.timedOpenService.getCharacteristic(hap.Characteristic.On).updateValue(false));
+      if (error instanceof hap.HapStatusError) {
+        throw error;
+      }
+      throw new Error('Failed to start timed open');
+    }
+    
+    const closeAt = new Date(Date.now() + this.timedOpenDuration);
+    this.startTimedOpen({ closeAt: closeAt.toISOString() });
+    const minutes = this.timedOpenDuration / 60000;
+    this.log.info(`[Timer] Door will close at ${closeAt.toLocaleTimeString()} (${minutes} minute${minutes !== 1 ? 's' : ''})`);
+  }
+  
+  startTimedOpen(timer) {
+    this.timedOpen = timer;
+    this.timedOpenTimer = setTimeout(() => {
+      this.log.info('[Timer] Time is up, closing door');
+      this.finishTimedOpen();
+    }, Math.max(0, new Date(timer.closeAt).getTime() - Date.now()));
+    this.saveTimedOpen();
+  }
+  
+  resumeTimedOpen(timer) {
+    if (new Date(timer.closeAt).getTime() <= Date.now()) {
+      this.log.warn('[Timer] Timed open ran out while Homebridge was down, closing door');
+      this.timedOpen = timer;
+      this.finishTimedOpen();
+      return;
+    }
+    
+    this.startTimedOpen(timer);
+    this.log.info(`[Timer] Timed open resumed, door will close at ${new Date(timer.closeAt).toLocaleTimeString()}`);
+  }
+  
+  // Returns once the close is sent, like any HomeKit command. The saved timer stays until a poll
+  // confirms the close, so a close that fails (cloud or login down, often right after a restart)
+  // is tried again after the next successful poll.
+  async finishTimedOpen() {
+    if (this.timedOpenClosing) {
+      return;
+    }
+    clearTimeout(this.timedOpenTimer);
+    this.timedOpenTimer = null;
+    this.timedOpenCloseFailed = false;
+    this.timedOpenClosing = true;
+    
+    let command;
+    try {
+      command = await this.commandDoor('close', 'Timed open');
+    } catch (error) {
+      this.timedOpenClosing = false;
+      this.failTimedOpenClose(error);
+      return;
+    }
+    this.confirmTimedOpenClose(command);
+  }
+  
+  async confirmTimedOpenClose(command) {
+    try {
+      await command.done;
+      this.clearTimedOpen();
+    } catch (error) {
+      this.failTimedOpenClose(error);
+    } finally {
+      this.timedOpenClosing = false;
+    }
+  }
+  
+  failTimedOpenClose(error) {
+    // cancelled in the meantime, by HomeKit or lockdown
+    if (this.timedOpen) {
+      this.log.error('[Timer] Failed to close door at end of timed open, trying again after the next poll:', error.message);
+      this.timedOpenCloseFailed = true;
+    }
+  }
+  
+  retryTimedOpenClose(doorState) {
+    if (!this.timedOpenCloseFailed || !this.timedOpen || this.timedOpenClosing) {
+      return;
+    }
+    if (doorState === 'closed') {
+      this.log.info('[Timer] Door is closed, timed open finished');
+      this.clearTimedOpen();
+      return;
+    }
+    this.log.info('[Timer] Retrying close at end of timed open');
+    this.finishTimedOpen();
+  }
+  
+  clearTimedOpen() {
+    clearTimeout(this.timedOpenTimer);
+    this.timedOpenTimer = null;
+    this.timedOpenCloseFailed = false;
+    this.timedOpen = null;
+    this.saveTimedOpen();
+    if (this.timedOpenService) {
+      this.timedOpenService.getCharacteristic(hap.Characteristic.On).updateValue(false);
+    }
+  }
+  
+  saveTimedOpen() {
+    if (this.timedOpen) {
+      this.stored.timedOpen = this.timedOpen;
+    } else if (this.stored.timedOpen) {
+      delete this.stored.timedOpen;
+    } else {
+      return;
+    }
+    this.platform.savePluginState();
+  }
+  
+  // history
+  
+  recordHistory(type, from, to, source, details) {
+    this.platform.recordHistory({
+      deviceId: this.deviceId,
+      device: this.accessory.displayName,
+      type,
+      from: from ?? null,
+      to: to ?? null,
+      source,
+      ...details
+    });
+  }
+  
+  // Eve door history logs open (1) and closed (0) on each change; the file keeps it across restarts
+  addEveDoorEntry(doorState) {
+    const contact = (doorState === 'closed') ? 0 : 1;
+    if (contact === this.eveDoorStatus) {
+      return;
+    }
+    this.eveDoorStatus = contact;
+    this.eveHistoryService.addEntry({ time: Math.round(Date.now() / 1000), contact });
+  }
+  
+  addEveBatteryEntry(level) {
+    this.eveBatteryCharacteristic.updateValue(level);
+    this.eveHistoryService.addEntry({ time: Math.round(Date.now() / 1000), humidity: level });
+  }
+  
+  // the command in flight explains a change heading to its target; anything else came from outside
+  changeSource(state, command) {
+    const destination = TRANSITION_TARGETS[state] || state;
+    return (command && command.target === destination) ? command.source : 'external';
+  }
+  
+  // external changes
+  
+  // A door that starts heading somewhere new without a matching plugin command was moved by its
+  // button, the Omlet app or the door's own schedule. Only the first poll of each movement counts.
+  detectExternalChange(doorState) {
+    const destination = TRANSITION_TARGETS[doorState] || doorState;
+    if (destination !== 'open' && destination !== 'closed') {
+      return;
+    }
+    
+    const previous = this.lastDoorDestination;
+    this.lastDoorDestination = destination;
+    if (!previous || previous === destination) {
+      return;
+    }
+    
+    // a command confirmed by this same poll only explains this one movement
+    const command = this.queuedCommands.door || this.pendingCommands.door;
+    const confirmed = this.lastConfirmedDoorTarget;
+    this.lastConfirmedDoorTarget = null;
+    if (command?.target === destination || confirmed === destination) {
+      return;
+    }
+    
+    const action = (destination === 'open') ? 'open' : 'close';
+    const source = this.guessExternalSource(action);
+    const verb = (destination === 'open') ? 'opened' : 'closed';
+    
+    if (source === 'time schedule') {
+      this.log.info(`[Door] Door ${verb} by its time schedule`);
+      return;
+    }
+    
+    this.log.info(`[Door] Door ${verb} outside HomeKit (${source})`);
+    // in light mode the sensor moves the door twice a day, which would bury the moves made by hand
+    if (this.manualEventService && this.deviceConfiguration?.door?.[action + 'Mode'] !== 'light') {
+      this.manualEventService.getCharacteristic(hap.Characteristic.ProgrammableSwitchEvent).updateValue(destination === 'open'
+        ? hap.Characteristic.ProgrammableSwitchEvent.SINGLE_PRESS
+        : hap.Characteristic.ProgrammableSwitchEvent.DOUBLE_PRESS);
+    }
+  }
+  
+  // Omlet doesn't say what moved the door, so this goes by the door's schedule for that direction
+  guessExternalSource(action) {
+    const door = this.deviceConfiguration?.door;
+    const mode = door?.[action + 'Mode'];
+    
+    if (mode === 'time') {
+      const scheduled = this.platform.validateTimeOfDay(door[action + 'Time'], action + 'Time');
+      const now = new Date();
+      const minutes = now.getHours() * 60 + now.getMinutes();
+      // allow for the poll interval and the door's own clock drift
+      const window = Math.max(5, Math.ceil(this.platform.pollInterval / 60000) + 2);
+      const distance = Math.abs(minutes - scheduled);
+      if (scheduled !== undefined && Math.min(distance, 24 * 60 - distance) <= window) {
+        return 'time schedule';
+      }
+    }
+    if (mode === 'light') {
+      return 'light sensor, button or Omlet app';
+    }
+    return 'button or Omlet app';
+  }
+  
+  // open too long
+  
+  // Checked on every poll. The duration counts from the first poll that saw the door open; the time
+  // of day trips once the door has stayed open through it.
+  updateOpenTooLong(doorState) {
+    const now = Date.now();
+    
+    if (doorState === 'closed') {
+      this.doorOpenSince = null;
+      if (this.openTooLongActive) {
+        this.log.info('[Door] Door is closed, open too long alert cleared');
+        this.setOpenTooLong(false);
+      }
+      return;
+    }
+    
+    if (!this.doorOpenSince) {
+      this.doorOpenSince = now;
+    }
+    if (this.openTooLongActive) {
+      return;
+    }
+    
+    const { duration, time } = this.openTooLong;
+    const openFor = now - this.doorOpenSince;
+    
+    if (duration !== null && openFor >= duration) {
+      const minutes = Math.round(openFor / 60000);
+      this.log.warn(`[Door] Door has been ${doorState} for ${minutes} minute${minutes !== 1 ? 's' : ''}`);
+      this.setOpenTooLong(true);
+      return;
+    }
+    
+    if (time !== undefined) {
+      const lastOccurrence = nextTimeOfDay(time, new Date(now - 24 * 60 * 60 * 1000));
+      if (lastOccurrence.getTime() >= this.doorOpenSince && lastOccurrence.getTime() <= now) {
+        this.log.warn(`[Door] Door is still ${doorState} after ${lastOccurrence.toLocaleTimeString()}`);
+        this.setOpenTooLong(true);
+      }
+    }
+  }
+  
+  setOpenTooLong(active) {
+    this.openTooLongActive = active;
+    this.openTooLongService.getCharacteristic(hap.Characteristic.ContactSensorState).updateValue(active
+      ? hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+      : hap.Characteristic.ContactSensorState.CONTACT_DETECTED);
+  }
+  
+  // close watchdog
+  
+  // Checks at a fixed time, or closeWatchdogOffset minutes after the scheduled close: the plugin's
+  // sun schedule if enabled, otherwise the door's own time-based close. Light-based closes have no
+  // predictable time, so those doors need closeWatchdogTime.
+  async getNextWatchdogTime(now) {
+    const offset = this.closeWatchdog.offset * 60 * 1000;
+    
+    if (this.closeWatchdog.time !== undefined) {
+      return nextTimeOfDay(this.closeWatchdog.time, now);
+    }
+    
+    if (this.platform.sunSchedule) {
+      const lastClose = this.platform.findSunActionTime('close', now, -1);
+      if (lastClose && lastClose.getTime() + offset > now.getTime()) {
+        return new Date(lastClose.getTime() + offset);
+      }
+      const nextClose = this.platform.findSunActionTime('close', now, 1);
+      return nextClose ? new Date(nextClose.getTime() + offset) : null;
+    }
+    
+    // re-read every time so schedule changes made in the Omlet app are picked up
+    await this.refreshConfiguration();
+    const door = this.deviceConfiguration?.door;
+    const closeTime = (door?.closeMode === 'time') ? this.platform.validateTimeOfDay(door.closeTime, 'closeTime') : undefined;
+    if (closeTime === undefined) {
+      return null;
+    }
+    // the close that happened up to `offset` ago still gets its check
+    const nextClose = nextTimeOfDay(closeTime, new Date(now.getTime() - offset));
+    return new Date(nextClose.getTime() + offset);
+  }
+  
+  async scheduleCloseWatchdog() {
+    clearTimeout(this.watchdogTimer);
+    this.watchdogTimer = null;
+    
+    const now = new Date();
+    const maxDelay = 6 * 60 * 60 * 1000;
+    const next = await this.getNextWatchdogTime(now);
+    
+    if (this.watchdogStopped) {
+      return;
+    }
+    
+    if (!next) {
+      if (!this.watchdogUnscheduledLogged) {
+        this.log.warn('[Watchdog] No scheduled close time to check against, set closeWatchdogTime (checking again in 6 hours)');
+        this.watchdogUnscheduledLogged = true;
+      }
+      this.watchdogTimer = setTimeout(() => this.scheduleCloseWatchdog(), maxDelay);
+      return;
+    }
+    
+    this.watchdogUnscheduledLogged = false;
+    if (this.debug) {
+      this.log.info('[Watchdog] Next close check at', next.toLocaleString());
+    }
+    
+    // long timers drift, so re-check at least every 6 hours
+    const delay = next.getTime() - Date.now();
+    if (delay > maxDelay) {
+      this.watchdogTimer = setTimeout(() => this.scheduleCloseWatchdog(), maxDelay);
+    } else {
+      this.watchdogTimer = setTimeout(() => this.runCloseWatchdog(0), Math.max(0, delay));
+    }
+  }
+  
+  async runCloseWatchdog(attempt) {
+    clearTimeout(this.watchdogTimer);
+    this.watchdogTimer = null;
+    
+    let status = this.cachedStatus;
+    try {
+      status = await this.pollDeviceState();
+    } catch (error) {
+      this.log.warn('[Watchdog] Could not refresh door state, using last known state:', error.message);
+    }
+    
+    if (this.watchdogStopped) {
+      return;
+    }
+    
+    const doorState = status?.state?.door?.state;
+    const retries = this.closeWatchdog.retries;
+    
+    if (doorState === 'closed') {
+      this.log.info(attempt === 0
+        ? '[Watchdog] Door confirmed closed'
+        : `[Watchdog] Door confirmed closed after ${attempt} retr${attempt > 1 ? 'ies' : 'y'}`);
+      this.scheduleCloseWatchdog();
+      return;
+    }
+    
+    if (attempt < retries) {
+      // a door already closing only needs more time, not another command
+      if (doorState === 'closing') {
+        this.log.warn(`[Watchdog] Door still closing, checking again (attempt ${attempt + 1} of ${retries})`);
+      } else {
+        this.log.warn(`[Watchdog] Door is ${doorState || 'unknown'} after scheduled close, retrying close (attempt ${attempt + 1} of ${retries})`);
+        try {
+          await this.commandDoor('close', 'Close watchdog');
+        } catch (error) {
+          this.log.error('[Watchdog] Retry failed:', error.message);
+        }
+      }
+      this.watchdogTimer = setTimeout(() => this.runCloseWatchdog(attempt + 1), this.doorTravelTime + this.platform.fastPollInterval);
+      return;
+    }
+    
+    const tried = retries > 0 ? ` after ${retries} retr${retries > 1 ? 'ies' : 'y'}` : '';
+    this.log.error(`[Watchdog] Door is still ${doorState || 'unknown'}${tried}, check the coop`);
+    this.setWatchdogAlert(true);
+    this.scheduleCloseWatchdog();
+  }
+  
+  setWatchdogAlert(active) {
+    this.watchdogAlert = active;
+    if (!this.watchdogService) {
+      return;
+    }
+    
+    if (this.closeWatchdog.alert === 'contact') {
+      this.watchdogService.getCharacteristic(hap.Characteristic.ContactSensorState).updateValue(active
+        ? hap.Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+        : hap.Characteristic.ContactSensorState.CONTACT_DETECTED);
+    } else {
+      this.watchdogService.getCharacteristic(hap.Characteristic.MotionDetected).updateValue(active);
+    }
+  }
+  
+  stopCloseWatchdog() {
+    this.watchdogStopped = true;
+    clearTimeout(this.watchdogTimer);
+    this.watchdogTimer = null;
+  }
+  
+  // persisted timers pick up again from the state file on the next start
+  stopTimers() {
+    this.stopCloseWatchdog();
+    clearTimeout(this.timedOpenTimer);
+    this.timedOpenTimer = null;
+    Object.values(this.pendingCommands).forEach(command => clearTimeout(command.timer));
+  }
+  
+  // faults
+  
+  // Fault fields vary between firmware versions: a single code, a list of codes, or an object of flags
+  collectFaultCodes(section) {
+    if (!section) {
+      return [];
+    }
+    
+    const codes = [];
+    ['fault', 'faults', 'error', 'errors', 'errorCode'].forEach(field => {
+      const value = section[field];
+      if (value === undefined || value === null || value === false) {
+        return;
+      }
+      
+      if (Array.isArray(value)) {
+        codes.push(...value);
+      } else if (typeof value === 'object') {
+        Object.keys(value).filter(key => value[key]).forEach(key => codes.push(key));
+      } else if (value !== true) {
+        codes.push(value);
+      } else {
+        codes.push(field);
+      }
+    });
+    
+    return codes
+      .map(code => String(code).trim())
+      .filter(code => !NO_FAULT_VALUES.includes(code.toLowerCase()));
+  }
+  
+  updateFaults(status) {
+    const doorSection = status.state?.door;
+    const generalSection = status.state?.general;
+    
+    const doorFaults = [...this.collectFaultCodes(doorSection), ...this.collectFaultCodes(generalSection)];
+    if (doorSection?.state === 'fault' || doorSection?.state === 'error') {
+      doorFaults.push(doorSection.state);
+    }
+    this.applyFaults('door', doorFaults, this.doorService, { door: doorSection, general: generalSection });
+    
+    if (this.enableLight && this.lightService) {
+      this.applyFaults('light', this.collectFaultCodes(status.state?.light), this.lightService, status.state?.light);
+    }
+  }
+  
+  applyFaults(type, codes, service, rawSection) {
+    const previous = this.activeFaults[type];
+    const current = [...new Set(codes)];
+    
+    // faults in the saved state were logged before the restart; they only set Status Fault here
+    if (this.snapshotPending) {
+      this.activeFaults[type] = current;
+      service.getCharacteristic(hap.Characteristic.StatusFault).updateValue(this.getStatusFault(type));
+      return;
+    }
+    
+    current.filter(code => !previous.includes(code)).forEach(code => {
+      const message = FAULT_MESSAGES[code];
+      this.recordHistory('fault', null, code, 'device', { component: type, message: message || null });
+      if (message) {
+        this.log.warn(`[Fault] ${message} (${code})`);
+      } else {
+        this.log.warn(`[Fault] ${type === 'light' ? 'Light' : 'Door'} reported fault "${code}"`);
+        this.logUnknownValueOnce(`${type} fault`, code, rawSection);
+      }
+    });
+    
+    previous.filter(code => !current.includes(code)).forEach(code => {
+      this.log.info(`[Fault] Cleared: ${FAULT_MESSAGES[code] || code}`);
+      this.recordHistory('fault', code, null, 'device', { component: type, message: FAULT_MESSAGES[code] || null });
+    });
+    
+    this.activeFaults[type] = current;
+    service.getCharacteristic(hap.Characteristic.StatusFault).updateValue(this.getStatusFault(type));
+  }
+  
+  getStatusFault(type) {
+    return this.activeFaults[type].length > 0
+      ? hap.Characteristic.StatusFault.GENERAL_FAULT
+      : hap.Characteristic.StatusFault.NO_FAULT;
+  }
+  
+  // the raw payload helps extend FAULT_MESSAGES and the state maps, but only needs logging once
+  logUnknownValueOnce(kind, value, rawSection) {
+    const key = `${kind}:${value}`;
+    if (this.loggedUnknownValues.has(key)) {
+      return;
+    }
+    
+    this.loggedUnknownValues.add(key);
+    this.log.warn(`[Fault] Unknown ${kind} "${value}", please report it with this status: ${JSON.stringify(rawSection)}`);
   }
 }
@@ -0,0 +1,273 @@
+const https = require('https');
+
+const DEFAULT_HOST = 'x107.omlet.co.uk';
+const REQUEST_TIMEOUT = 10000;
+const RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30000;
+
+// network errors worth another try; anything else (bad host name, TLS) won't fix itself
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+// letters, digits, dots, hyphens
+const HOSTNAME_PATTERN = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+// The Omlet API answered, but not with what was asked for. statusCode is the HTTP status
+// (200 for a body that couldn't be used), response the raw body and retryAfter the wait in
+// milliseconds the server asked for, if any.
+class OmletApiError extends Error {
+  constructor(message, statusCode, response, retryAfter = null) {
+    super(message);
+    this.name = 'OmletApiError';
+    this.statusCode = statusCode;
+    this.response = response;
+    this.retryAfter = retryAfter;
+  }
+  
+  get isAuthError() {
+    return this.statusCode === 401 || this.statusCode === 403;
+  }
+}
+
+// no answer within the timeout; the request may still have reached the door
+class OmletTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Request timeout after ${timeout / 1000} seconds`);
+    this.name = 'OmletTimeoutError';
+    this.statusCode = null;
+  }
+}
+
+// Talks to the Omlet cloud API for the plugin and the custom UI server.
+//
+// Options:
+//   host        - API server hostname (default x107.omlet.co.uk)
+//   token       - bearer token, or getToken() to read the current one on every request
+//   timeout     - per-request timeout in milliseconds
+//   retries     - how often a request is retried after a timeout, dropped connection, 429 or 5xx
+//                 (default 0, can be set per request); waits back off exponentially with jitter
+//   retryDelay, maxRetryDelay - first and longest wait between retries in milliseconds
+//   log, debug  - a Homebridge-style logger; requests and responses are logged in debug mode
+//   onAuthError - async hook called when an authenticated request gets 401/403; resolve true
+//                 once the token has been refreshed and the request is retried once
+class OmletClient {
+  constructor(options = {}) {
+    this.host = options.host || DEFAULT_HOST;
+    this.token = options.token || null;
+    this.getToken = options.getToken || (() => this.token);
+    this.timeout = options.timeout || REQUEST_TIMEOUT;
+    this.retries = options.retries || 0;
+    this.retryDelay = options.retryDelay || RETRY_DELAY;
+    this.maxRetryDelay = options.maxRetryDelay || MAX_RETRY_DELAY;
+    this.log = options.log || null;
+    this.debug = options.debug === true;
+    this.onAuthError = options.onAuthError || null;
+  }
+  
+  static isValidHostname(hostname) {
+    return typeof hostname === 'string' && HOSTNAME_PATTERN.test(hostname);
+  }
+  
+  static isTransient(error) {
+    if (error instanceof OmletTimeoutError) {
+      return true;
+    }
+    if (error.statusCode === 429 || error.statusCode >= 500) {
+      return true;
+    }
+    return TRANSIENT_ERROR_CODES.includes(error.code);
+  }
+  
+  async login(email, password, countryCode) {
+    const response = await this.request('POST', '/api/v1/login', {
+      body: { emailAddress: email, password: password, cc: countryCode },
+      auth: false,
+      context: 'Auth'
+    });
+    
+    const apiKey = response?.apiKey || response?.api_key || response?.token
+      || response?.data?.apiKey || response?.data?.api_key || response?.data?.token;
+    if (!apiKey) {
+      throw new OmletApiError('No apiKey in response', 200, JSON.stringify(response));
+    }
+    
+    return apiKey;
+  }
+  
+  // the group list carries every device on the account, including its full status
+  async getGroups(context = 'Group') {
+    const response = await this.request('GET', '/api/v1/group', { context });
+    return Array.isArray(response) ? response : (response?.groups || []);
+  }
+  
+  async listDevices(context = 'Discovery') {
+    const groups = await this.getGroups(context);
+    const devices = [];
+    
+    groups.forEach(group => {
+      (group.devices || []).forEach(device => {
+        devices.push({
+          deviceId: device.deviceId,
+          name: device.name || group.name || 'Omlet Coop',
+          type: device.deviceType || 'unknown'
+        });
+      });
+    });
+    
+    return devices;
+  }
+  
+  sendAction(deviceId, action, context = 'Action', options = {}) {
+    return this.request('POST', `/api/v1/device/${deviceId}/action/${action}`, { ...options, body: {}, context });
+  }
+  
+  getConfiguration(deviceId, context = 'Schedule') {
+    return this.request('GET', `/api/v1/device/${deviceId}/configuration`, { context });
+  }
+  
+  updateConfiguration(deviceId, changes, context = 'Schedule') {
+    return this.request('PATCH', `/api/v1/device/${deviceId}/configuration`, { body: changes, context });
+  }
+  
+  // resolves with the parsed JSON body, or null for an empty one
+  async request(method, path, options = {}) {
+    const { body = null, auth = true, context = 'API', retries = this.retries } = options;
+    const attempt = () => this.sendWithRetries(method, path, body, auth, context, retries);
+    
+    try {
+      return await attempt();
+    } catch (error) {
+      if (!auth || !error.isAuthError || !this.onAuthError) {
+        throw error;
+      }
+      if (!await this.onAuthError(error)) {
+        throw error;
+      }
+      return attempt();
+    }
+  }
+  
+  async sendWithRetries(method, path, body, auth, context, retries) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(method, path, body, auth, context);
+      } catch (error) {
+        const delay = (attempt < retries && OmletClient.isTransient(error)) ? this.getRetryDelay(error, attempt) : null;
+        if (delay === null) {
+          throw error;
+        }
+        this.logDebug(`[${context}] ${error.message}, retrying in ${(delay / 1000).toFixed(1)} seconds (${attempt + 1}/${retries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+  
+  // Retry-After wins when the server sends one, unless it asks for longer than maxRetryDelay.
+  // Otherwise the wait doubles each attempt, randomised so many clients don't retry in step.
+  getRetryDelay(error, attempt) {
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter <= this.maxRetryDelay ? error.retryAfter : null;
+    }
+    const backoff = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** attempt);
+    return backoff / 2 + Math.random() * backoff / 2;
+  }
+  
+  // Retry-After is either seconds or an HTTP date
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+    const time = Date.parse(value);
+    return isNaN(time) ? null : Math.max(0, time - Date.now());
+  }
+  
+  send(method, path, body, auth, context) {
+    return new Promise((resolve, reject) => {
+      const headers = { 'Accept': 'application/json' };
+      
+      if (auth) {
+        const token = this.getToken();
+        if (!token) {
+          reject(new Error('No auth token available'));
+          return;
+        }
+        headers['Authorization'] = `Bearer ${token}`;
+      }
+      
+      const postData = body ? JSON.stringify(body) : null;
+      if (postData) {
+        headers['Content-Type'] = 'application/json';
+        headers['Content-Length'] = Buffer.byteLength(postData);
+      }
+      
+      const options = {
+        hostname: this.host,
+        port: 443,
+        path: path,
+        method: method,
+        headers: headers,
+        timeout: this.timeout
+      };
+      
+      // login bodies carry the password
+      this.logDebug(`[${context}] ${method} ${path}`, auth && postData ? postData : '');
+      
+      const req = https.request(options, (res) => {
+        let data = '';
+        
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        
+        res.on('end', () => {
+          this.logDebug(`[${context}] Response status:`, res.statusCode);
+          if (data && auth) {
+            this.logDebug(`[${context}] Response body:`, data);
+          }
+          
+          if (res.statusCode !== 200 && res.statusCode !== 204) {
+            const retryAfter = this.parseRetryAfter(res.headers?.['retry-after']);
+            reject(new OmletApiError(`HTTP ${res.statusCode}`, res.statusCode, data, retryAfter));
+            return;
+          }
+          
+          try {
+            resolve(data ? JSON.parse(data) : null);
+          } catch (error) {
+            reject(new OmletApiError(`Failed to parse response: ${error.message}`, res.statusCode, data));
+          }
+        });
+      });
+      
+      req.on('timeout', () => {
+        req.destroy();
+        reject(new OmletTimeoutError(this.timeout));
+      });
+      
+      req.on('error', (error) => {
+        reject(error);
+      });
+      
+      if (postData) {
+        req.write(postData);
+      }
+      req.end();
+    });
+  }
+  
+  logDebug(...args) {
+    if (this.debug && this.log) {
+      this.log.info(...args.filter(arg => arg !== ''));
+    }
+  }
+}
+
+module.exports = {
+  OmletClient,
+  OmletApiError,
+  OmletTimeoutError,
+  DEFAULT_HOST
+};
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Both files carry schemaVersion. The token file written before it existed counts as version 1:
+//   tokens: { bearerToken, deviceId, lastUpdated } in plain JSON
+// Version 2 keeps everything per account and per device (the state file starts at version 2):
+//   tokens: { schemaVersion, accounts: { account: encrypted token } }
+//   state:  { schemaVersion, accounts: { account: { sunSchedule } },
+//           devices: { deviceId: { lockdown, automaticModes, timedOpen, battery, connectivity,
+//           status } } }
+const SCHEMA_VERSION = 2;
+
+const TOKEN_FILE = 'omlet-coop-tokens.json';
+const STATE_FILE = 'omlet-coop-state.json';
+
+// the account stored data belongs to when no email address is configured
+const DEFAULT_ACCOUNT = 'default';
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+// outside the Homebridge storage directory, so a backup of that directory can't decrypt the token
+const SECRET_FILE = path.join(os.homedir(), '.homebridge-omlet', 'secret.key');
+
+// Stored data exists but can't be used: not JSON, written on another machine, or altered
+// since it was saved. Nothing in it must be trusted.
+class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageError';
+  }
+}
+
+// Write to a temp file next to the target, then rename over it, so a crash never leaves a
+// half-written file behind. The file is only readable by the Homebridge user.
+function writeFileAtomic(file, contents) {
+  const temp = `${file}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(temp, 'w', 0o600);
+    try {
+      fs.writeFileSync(fd, contents);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    // mode only applies to new files; a leftover temp file may be looser
+    fs.chmodSync(temp, 0o600);
+    fs.renameSync(temp, file);
+  } catch (error) {
+    fs.rmSync(temp, { force: true });
+    throw error;
+  }
+}
+
+function accountKey(email) {
+  return email ? email.trim().toLowerCase() : DEFAULT_ACCOUNT;
+}
+
+// Reads a versioned JSON file and brings it up to SCHEMA_VERSION. A file that isn't JSON is
+// moved aside rather than overwritten, so whatever is in it can still be recovered by hand.
+// A file from a newer version of the plugin is used as far as it can be, but never saved over.
+function readVersioned(file, migrate, log) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { data: migrate({}), migrated: false, readOnly: false };
+    }
+    const unreadable = `${file}.unreadable-${Date.now()}`;
+    log?.error(`[Storage] ${path.basename(file)} is unreadable (${error.message}), moved to ${path.basename(unreadable)}`);
+    try {
+      fs.renameSync(file, unreadable);
+    } catch (renameError) {
+      return { data: migrate({}), migrated: false, readOnly: true };
+    }
+    return { data: migrate({}), migrated: false, readOnly: false };
+  }
+  
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    data = {};
+  }
+  
+  const version = data.schemaVersion || 1;
+  if (version > SCHEMA_VERSION) {
+    log?.warn(`[Storage] ${path.basename(file)} was written by a newer version of the plugin (schema ${version}), it won't be changed`);
+    return { data: migrate(data), migrated: false, readOnly: true };
+  }
+  
+  return { data: migrate(data), migrated: version < SCHEMA_VERSION, readOnly: false };
+}
+
+// Keeps the API token of each account encrypted at rest (AES-256-GCM, key derived with scrypt
+// from a local secret). The GCM tag makes any change to a token show up as a failed decrypt.
+//
+// Options:
+//   secret     - secret to derive the key from (default: OMLET_COOP_SECRET, or a random secret
+//                created on first use in ~/.homebridge-omlet/secret.key)
+//   secretFile - where the random secret is kept
+//   log        - a Homebridge-style logger for migrations and unreadable files
+class TokenStore {
+  constructor(storagePath, options = {}) {
+    this.file = path.join(storagePath, TOKEN_FILE);
+    this.secret = options.secret || process.env.OMLET_COOP_SECRET || null;
+    this.secretFile = options.secretFile || SECRET_FILE;
+    this.log = options.log || null;
+  }
+  
+  // returns { bearerToken, lastUpdated } for the account, or null when nothing is stored; throws
+  // StorageError when the account's token can't be decrypted
+  load(email) {
+    const { data, migrated, readOnly } = this.read(email);
+    const stored = data.accounts[accountKey(email)];
+    if (!stored) {
+      return null;
+    }
+    
+    // a plain token from an older version or dropped in by hand is encrypted straight away
+    if (typeof stored.bearerToken === 'string') {
+      if (!readOnly) {
+        data.accounts[accountKey(email)] = this.encrypt(stored);
+        this.write(data);
+      }
+      return stored;
+    }
+    
+    if (migrated && !readOnly) {
+      this.write(data);
+    }
+    return this.decrypt(stored);
+  }
+  
+  // replaces the account's token and leaves every other account's alone
+  save(email, token) {
+    const { data, readOnly } = this.read(email);
+    if (readOnly) {
+      throw new StorageError(`${TOKEN_FILE} can't be updated`);
+    }
+    
+    data.accounts[accountKey(email)] = this.encrypt({ bearerToken: token, lastUpdated: new Date().toISOString() });
+    this.write(data);
+  }
+  
+  read(email) {
+    return readVersioned(this.file, data => this.migrate(data, email), this.log);
+  }
+  
+  write(data) {
+    writeFileAtomic(this.file, JSON.stringify(data, null, 2));
+  }
+  
+  // a version 1 file held one token, which belongs to the account the plugin runs with now; its
+  // deviceId is dropped since doors come from discovery
+  migrate(data, email) {
+    if (data.schemaVersion >= SCHEMA_VERSION) {
+      data.accounts = data.accounts || {};
+      return data;
+    }
+    
+    const accounts = {};
+    if (typeof data.bearerToken === 'string') {
+      accounts[accountKey(email)] = { bearerToken: data.bearerToken, lastUpdated: data.lastUpdated };
+    }
+    return { schemaVersion: SCHEMA_VERSION, accounts };
+  }
+  
+  encrypt(data) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(CIPHER, this.deriveKey(salt), iv);
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+    
+    return {
+      cipher: CIPHER,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: encrypted.toString('base64'),
+      lastUpdated: data.lastUpdated
+    };
+  }
+  
+  decrypt(stored) {
+    if (stored.cipher !== CIPHER) {
+      throw new StorageError('Stored token is not in a known format');
+    }
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, this.deriveKey(Buffer.from(stored.salt, 'base64')),
+        Buffer.from(stored.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+      const decrypted = Buffer.concat([decipher.update(Buffer.from(stored.data, 'base64')), decipher.final()]);
+      return JSON.parse(decrypted.toString('utf8'));
+    } catch (error) {
+      throw new StorageError('Stored token failed to decrypt (altered, corrupted or saved on another machine)');
+    }
+  }
+  
+  deriveKey(salt) {
+    return crypto.scryptSync(this.getSecret(), salt, KEY_LENGTH);
+  }
+  
+  getSecret() {
+    if (this.secret) {
+      return this.secret;
+    }
+    
+    try {
+      this.secret = fs.readFileSync(this.secretFile, 'utf8').trim();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(KEY_LENGTH).toString('hex');
+      fs.mkdirSync(path.dirname(this.secretFile), { recursive: true, mode: 0o700 });
+      writeFileAtomic(this.secretFile, this.secret);
+    }
+    
+    return this.secret;
+  }
+}
+
+// Runtime data that must survive a restart: schedules per account, and lockdown, automatic
+// modes, timers, battery tracking, connectivity and the last status per door. Sections are plain
+// objects changed in place; call save() afterwards.
+//
+// Options:
+//   log - a Homebridge-style logger for unreadable files
+class StateStore {
+  constructor(storagePath, options = {}) {
+    this.file = path.join(storagePath, STATE_FILE);
+    this.log = options.log || null;
+    this.data = this.migrate({});
+    this.readOnly = false;
+  }
+  
+  load() {
+    const { data, migrated, readOnly } = readVersioned(this.file, data => this.migrate(data), this.log);
+    this.data = data;
+    this.readOnly = readOnly;
+    
+    if (migrated && !readOnly) {
+      this.write(data);
+    }
+    return this;
+  }
+  
+  save() {
+    if (this.readOnly) {
+      return;
+    }
+    this.write(this.data);
+  }
+  
+  write(data) {
+    writeFileAtomic(this.file, JSON.stringify(data, null, 2));
+  }
+  
+  account(email) {
+    const key = accountKey(email);
+    this.data.accounts[key] = this.data.accounts[key] || {};
+    return this.data.accounts[key];
+  }
+  
+  device(deviceId) {
+    this.data.devices[deviceId] = this.data.devices[deviceId] || {};
+    return this.data.devices[deviceId];
+  }
+  
+  // no release wrote the state file before schemaVersion, so there is nothing older to convert
+  migrate(data) {
+    data.schemaVersion = data.schemaVersion || SCHEMA_VERSION;
+    data.accounts = data.accounts || {};
+    data.devices = data.devices || {};
+    return data;
+  }
+}
+
+module.exports = {
+  TokenStore,
+  StateStore,
+  StorageError,
+  writeFileAtomic,
+  SCHEMA_VERSION,
+  TOKEN_FILE,
+  STATE_FILE
+};